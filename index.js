@@ -5,13 +5,28 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  ListPromptsRequestSchema,
+  GetPromptRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
+  McpError,
+  ErrorCode,
 } from "@modelcontextprotocol/sdk/types.js";
-import { spawn, execSync } from "child_process";
-import { mkdir, readFile, writeFile, readdir, appendFile } from "fs/promises";
+import { AjvJsonSchemaValidator } from "@modelcontextprotocol/sdk/validation/ajv";
+import { spawn, execSync, execFile } from "child_process";
+import { mkdir, readFile, writeFile, readdir, appendFile, copyFile, unlink, rm, realpath, rename, open, stat } from "fs/promises";
 import { homedir } from "os";
-import { join } from "path";
-import { createWriteStream, existsSync } from "fs";
+import { basename, extname, join, relative, resolve as resolvePath } from "path";
+import { createWriteStream, createReadStream, existsSync, readFileSync, realpathSync, openSync, closeSync } from "fs";
+import { createInterface } from "readline";
 import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
 
 // Find codex binary path at startup
 const CODEX_PATH = (() => {
@@ -22,40 +37,759 @@ const CODEX_PATH = (() => {
   }
 })();
 
-// Logs and state directory
-const DATA_DIR = join(homedir(), ".codex-connector");
+const SANDBOX_MODES = ["read-only", "workspace-write", "danger-full-access"];
+const REASONING_EFFORTS = ["low", "medium", "high"];
+const ISOLATION_MODES = ["none", "worktree"];
+const STALL_ACTIONS = ["warn", "kill", "resume"];
+const FINISHED_STATUSES = ["completed", "failed", "interrupted"];
+const SHUTDOWN_ACTIONS = ["detach", "kill"];
+const ABORT_ACTIONS = ["kill", "detach"];
+// What codex_tail follows: the task log (Codex output interleaved with
+// [stderr] lines and connector messages), Codex's raw stdout or stderr, or
+// the event timeline
+const TAIL_SOURCES = ["log", "stdout", "stderr", "events"];
+// How codex_session_show renders a session
+const SESSION_SHOW_MODES = ["transcript", "summary", "turn"];
+// How codex_list_sessions matches `directory` against a session's directory
+const SESSION_DIRECTORY_MATCHES = ["within", "exact"];
+// Events codex_wait can return early on (`until`)
+const WAIT_EVENTS = ["started", "session", "stall", "retry"];
+
+// Failure classes, from most to least specific
+const FAILURE_CLASSES = [
+  "spawn_error",
+  "auth_error",
+  "rate_limit",
+  "network",
+  "timeout",
+  "stall",
+  "budget_exceeded",
+  "invalid_output",
+  "cancelled",
+  "task_failure",
+  "interrupted",
+  "internal_error",
+];
+
+// Failure classes a retry can't help with: a cancel is deliberate, a task
+// over budget stays over it (its usage spans all attempts), an interrupted
+// task's server is gone, and an internal error means the connector lost
+// track of the task
+const NON_RETRYABLE_CLASSES = ["cancelled", "budget_exceeded", "interrupted", "internal_error"];
+
+// Options a config file may set as defaults or in a profile
+const TASK_OPTIONS_SCHEMA = {
+  type: "object",
+  properties: {
+    model: { type: "string" },
+    reasoningEffort: { type: "string", enum: REASONING_EFFORTS },
+    sandbox: { type: "string", enum: SANDBOX_MODES },
+    timeoutMs: { type: "number", minimum: 0 },
+    maxTokens: { type: "number", minimum: 0 },
+    maxCost: { type: "number", minimum: 0 },
+    isolation: { type: "string", enum: ISOLATION_MODES },
+    priority: { type: "number" },
+    retry: {
+      type: "object",
+      properties: {
+        maxAttempts: { type: "number", minimum: 1 },
+        backoffMs: { type: "number", minimum: 0 },
+        backoffMultiplier: { type: "number", minimum: 1 },
+        maxBackoffMs: { type: "number", minimum: 0 },
+        retryOn: { type: "array", items: { type: "string", enum: FAILURE_CLASSES } },
+      },
+    },
+    stall: {
+      type: "object",
+      properties: {
+        heartbeatMs: { type: "number", minimum: 1000 },
+        thresholdMs: { type: "number", minimum: 0 },
+        action: { type: "string", enum: STALL_ACTIONS },
+        maxResumes: { type: "number", minimum: 0 },
+      },
+    },
+  },
+};
+
+// A daily or monthly budget across all tasks
+const BUDGET_SCHEMA = {
+  type: "object",
+  properties: {
+    maxTokens: { type: "number", minimum: 0 },
+    maxCost: { type: "number", minimum: 0 },
+  },
+};
+
+const PROFILE_SCHEMA = {
+  ...TASK_OPTIONS_SCHEMA,
+  properties: { ...TASK_OPTIONS_SCHEMA.properties, description: { type: "string" } },
+};
+
+// A prompt template: a prompt with {{variable}} placeholders, plus the task
+// options it runs with
+const TEMPLATE_SCHEMA = {
+  type: "object",
+  required: ["prompt"],
+  properties: {
+    ...TASK_OPTIONS_SCHEMA.properties,
+    description: { type: "string" },
+    prompt: { type: "string" },
+    variables: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        properties: {
+          description: { type: "string" },
+          default: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Per-repo .codex-connector.json: task defaults, profiles and templates only
+const REPO_CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    defaults: TASK_OPTIONS_SCHEMA,
+    profiles: { type: "object", additionalProperties: PROFILE_SCHEMA },
+    templates: { type: "object", additionalProperties: TEMPLATE_SCHEMA },
+  },
+};
+
+// ~/.codex-connector/config.json: the repo keys plus server-wide settings
+const USER_CONFIG_SCHEMA = {
+  type: "object",
+  properties: {
+    ...REPO_CONFIG_SCHEMA.properties,
+    dataDir: { type: "string" },
+    limits: {
+      type: "object",
+      properties: {
+        maxConcurrent: { type: "number", minimum: 1 },
+        maxPerRepo: { type: "number", minimum: 1 },
+      },
+    },
+    attachments: {
+      type: "object",
+      properties: {
+        maxFiles: { type: "number", minimum: 1 },
+        maxFileBytes: { type: "number", minimum: 0 },
+        maxTotalBytes: { type: "number", minimum: 0 },
+      },
+    },
+    retention: {
+      type: "object",
+      properties: {
+        maxAgeDays: { type: "number", minimum: 0 },
+        maxTasks: { type: "number", minimum: 0 },
+        statuses: { type: "array", items: { type: "string", enum: FINISHED_STATUSES } },
+      },
+    },
+    policy: {
+      type: "object",
+      properties: {
+        allowedRoots: { type: "array", items: { type: "string" } },
+        maxSandbox: { type: "string", enum: SANDBOX_MODES },
+        directories: {
+          type: "array",
+          items: {
+            type: "object",
+            required: ["path", "maxSandbox"],
+            properties: {
+              path: { type: "string" },
+              maxSandbox: { type: "string", enum: SANDBOX_MODES },
+            },
+          },
+        },
+        deniedPaths: { type: "array", items: { type: "string" } },
+        allowResumeEscalation: { type: "boolean" },
+      },
+    },
+    shutdown: {
+      type: "object",
+      properties: {
+        action: { type: "string", enum: SHUTDOWN_ACTIONS },
+        graceMs: { type: "number", minimum: 0 },
+      },
+    },
+    budget: {
+      type: "object",
+      properties: {
+        daily: BUDGET_SCHEMA,
+        monthly: BUDGET_SCHEMA,
+        warnAt: { type: "array", items: { type: "number", minimum: 0 } },
+      },
+    },
+    pricing: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        required: ["input", "output"],
+        properties: {
+          input: { type: "number", minimum: 0 },
+          cachedInput: { type: "number", minimum: 0 },
+          output: { type: "number", minimum: 0 },
+        },
+      },
+    },
+  },
+};
+
+const REPO_CONFIG_NAME = ".codex-connector.json";
+
+// Check a parsed config value against one of the schemas above. Returns a
+// list of "path: problem" messages, empty when the value is valid.
+function validateConfig(value, schema, path = "", errors = []) {
+  const at = path || "(root)";
+  const actual = Array.isArray(value) ? "array" : value === null ? "null" : typeof value;
+  if (actual !== schema.type) {
+    errors.push(`${at}: expected ${schema.type}, got ${actual}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at}: must be at least ${schema.minimum} (got ${value})`);
+  }
+  if (schema.type === "array") {
+    value.forEach((item, i) => validateConfig(item, schema.items, `${path}[${i}]`, errors));
+  }
+  if (schema.type === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path ? `${path}.${key}` : key}: required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const childPath = path ? `${path}.${key}` : key;
+      const childSchema = schema.properties?.[key] || schema.additionalProperties;
+      if (!childSchema) {
+        const known = Object.keys(schema.properties || {});
+        errors.push(`${childPath}: unknown key (expected one of ${known.join(", ")})`);
+      } else {
+        validateConfig(child, childSchema, childPath, errors);
+      }
+    }
+  }
+  return errors;
+}
+
+// Read and validate a JSON config file. A missing file is an empty config;
+// anything unreadable or invalid throws with every problem listed.
+function parseConfigFile(file, text, schema) {
+  let config;
+  try {
+    config = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON in ${file}: ${err.message}`);
+  }
+  const errors = validateConfig(config, schema);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return config;
+}
+
+// User configuration, read once at startup
+const CONFIG_FILE = process.env.CODEX_CONNECTOR_CONFIG || join(homedir(), ".codex-connector", "config.json");
+const CONFIG = (() => {
+  if (!existsSync(CONFIG_FILE)) return {};
+  try {
+    return parseConfigFile(CONFIG_FILE, readFileSync(CONFIG_FILE, "utf-8"), USER_CONFIG_SCHEMA);
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+})();
+const USER_DEFAULTS = CONFIG.defaults || {};
+
+// Resolve a path from the config file, expanding a leading "~"
+function expandHome(path) {
+  return resolvePath(homedir(), path.replace(/^~(?=$|\/)/, homedir()));
+}
+
+// Resolve a policy path once, following symlinks so it compares with the
+// realpath'd directories it's checked against (/tmp on macOS, a symlinked
+// home). A path that doesn't exist is only expanded.
+function resolvePolicyPath(path) {
+  const expanded = expandHome(path);
+  try {
+    return realpathSync(expanded);
+  } catch {
+    return expanded;
+  }
+}
+const POLICY_ROOTS = CONFIG.policy?.allowedRoots?.map(resolvePolicyPath) ?? null;
+const POLICY_DIRECTORIES = (CONFIG.policy?.directories || []).map((entry) => ({ ...entry, path: resolvePolicyPath(entry.path) }));
+
+// Logs and state directory (the config's "dataDir" can move it)
+const DATA_DIR = CONFIG.dataDir ? expandHome(CONFIG.dataDir) : join(homedir(), ".codex-connector");
 const LOGS_DIR = join(DATA_DIR, "logs");
 const TASKS_FILE = join(DATA_DIR, "tasks.json");
+const TASKS_JOURNAL = join(DATA_DIR, "tasks.journal.jsonl");
+const WORKTREES_DIR = join(DATA_DIR, "worktrees");
+const PIPELINES_FILE = join(DATA_DIR, "pipelines.json");
+const AUDIT_FILE = join(DATA_DIR, "audit.jsonl");
+const STORE_LOCK = join(DATA_DIR, "store.lock");
+const SESSION_INDEX_FILE = join(DATA_DIR, "sessions-index.json");
+const SESSION_TEXT_DIR = join(DATA_DIR, "session-text");
 
 // In-memory task tracking (also persisted to disk)
 const tasks = new Map();
 
-// Active process handles (for running tasks)
+// Task store: tasks.json is a snapshot, tasks.journal.jsonl holds the changes
+// since. persistedTasks has each task as last written or read, so saves only
+// journal what changed; store operations go through storeQueue one at a time
+// and hold STORE_LOCK, which other server instances sharing DATA_DIR respect.
+const persistedTasks = new Map();
+const JOURNAL_COMPACT_THRESHOLD = 1000;
+const STORE_LOCK_STALE_MS = 30000;
+let journalEntries = 0;
+let journalOffset = 0;
+let snapshotStamp = null;
+let storeQueue = Promise.resolve();
+
+// Identifies this server instance in the records it owns
+const INSTANCE_ID = randomUUID().slice(0, 8);
+
+// Pipelines of dependent tasks (also persisted to disk)
+const pipelines = new Map();
+
+// Completion promises for pipelines, for blocking codex_pipeline calls
+const pipelineCompletions = new Map();
+
+// PIDs of the Codex processes this instance is supervising
 const activeProcesses = new Map();
 
+// Per running task, a function that stops supervising it (see shutdown)
+const taskSupervisors = new Map();
+
+// Concurrency limits for running Codex processes
+// (environment variables win over the config file)
+const MAX_CONCURRENT_TASKS = Number(process.env.CODEX_CONNECTOR_MAX_CONCURRENT) || CONFIG.limits?.maxConcurrent || 4;
+const MAX_TASKS_PER_REPO = Number(process.env.CODEX_CONNECTOR_MAX_PER_REPO) || CONFIG.limits?.maxPerRepo || 2;
+
+// Task defaults: built-in values overridden by the config file's "defaults".
+// Repo config, profiles and tool arguments are layered on top per task.
+const DEFAULT_MODEL = USER_DEFAULTS.model || "gpt-5.2-codex";
+const DEFAULT_REASONING_EFFORT = USER_DEFAULTS.reasoningEffort || "high";
+const DEFAULT_SANDBOX = USER_DEFAULTS.sandbox || "danger-full-access";
+const DEFAULT_TIMEOUT_MS = USER_DEFAULTS.timeoutMs || 0;
+const DEFAULT_ISOLATION = USER_DEFAULTS.isolation || "none";
+const DEFAULT_PRIORITY = USER_DEFAULTS.priority || 0;
+const DEFAULT_RETRY = USER_DEFAULTS.retry || null;
+
+// Heartbeat and stall defaults; codex_agent can override them per task
+const USER_STALL = USER_DEFAULTS.stall || {};
+const HEARTBEAT_INTERVAL_MS = Number(process.env.CODEX_CONNECTOR_HEARTBEAT_MS) || USER_STALL.heartbeatMs || 30000;
+const STALL_THRESHOLD_MS = Number(process.env.CODEX_CONNECTOR_STALL_MS) || USER_STALL.thresholdMs || 120000;
+const STALL_ACTION = STALL_ACTIONS.includes(process.env.CODEX_CONNECTOR_STALL_ACTION)
+  ? process.env.CODEX_CONNECTOR_STALL_ACTION
+  : USER_STALL.action || "warn";
+const STALL_MAX_RESUMES = USER_STALL.maxResumes ?? 2;
+
+// How often a running task's output files are checked for new output, and
+// how often the read offsets and counters that go with it are saved. Session
+// capture, turn ends and budget kills are saved straight away.
+const OUTPUT_POLL_MS = 500;
+const OUTPUT_SAVE_MS = 10000;
+
+// codex_tail: default read size per call, and the longest it may long-poll
+const TAIL_DEFAULT_BYTES = 16384;
+const TAIL_MAX_WAIT_MS = 300000;
+
+// Attachments: images go to Codex as image inputs, other files are packed
+// into the prompt, each cut to maxFileBytes and all together to maxTotalBytes
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".gif", ".webp", ".bmp"];
+const ATTACHMENT_LIMITS = { maxFiles: 50, maxFileBytes: 65536, maxTotalBytes: 262144, ...CONFIG.attachments };
+
+// What happens to running tasks when the server shuts down: "detach" leaves
+// Codex running for the next server to re-adopt, "kill" stops it. Killed
+// process trees get graceMs to exit after SIGTERM before SIGKILL.
+const SHUTDOWN_ACTION = SHUTDOWN_ACTIONS.includes(process.env.CODEX_CONNECTOR_SHUTDOWN_ACTION)
+  ? process.env.CODEX_CONNECTOR_SHUTDOWN_ACTION
+  : CONFIG.shutdown?.action || "detach";
+const SHUTDOWN_GRACE_MS = CONFIG.shutdown?.graceMs ?? 5000;
+
+// Set once shutdown starts; no new tasks start after that
+let shuttingDown = false;
+
+// Model prices in USD per million tokens, as published by OpenAI. The
+// config file's "pricing" adds models or overrides these; tasks on a model
+// without a price report tokens but no cost. Keep the built-in default
+// model (DEFAULT_MODEL) in this table.
+const BUILTIN_PRICING = {
+  "gpt-5": { input: 1.25, cachedInput: 0.125, output: 10 },
+  "gpt-5-codex": { input: 1.25, cachedInput: 0.125, output: 10 },
+  "gpt-5-mini": { input: 0.25, cachedInput: 0.025, output: 2 },
+  "gpt-5.1": { input: 1.25, cachedInput: 0.125, output: 10 },
+  "gpt-5.1-codex": { input: 1.25, cachedInput: 0.125, output: 10 },
+  "gpt-5.1-codex-mini": { input: 0.25, cachedInput: 0.025, output: 2 },
+  "gpt-5.2": { input: 1.75, cachedInput: 0.175, output: 14 },
+  "gpt-5.2-codex": { input: 1.75, cachedInput: 0.175, output: 14 },
+};
+const PRICING = { ...BUILTIN_PRICING, ...CONFIG.pricing };
+
+// Global budgets run per UTC day and month, over the tasks started in them
+const BUDGET_PERIODS = {
+  daily: { label: "Daily", key: (iso) => iso.slice(0, 10) },
+  monthly: { label: "Monthly", key: (iso) => iso.slice(0, 7) },
+};
+// Fractions of a budget at which Claude is warned
+const BUDGET_WARN_AT = [...(CONFIG.budget?.warnAt ?? [0.8])].sort((a, b) => a - b);
+// Global budget warnings already sent, once per period and threshold
+const budgetWarningsSent = new Set();
+
+// Task IDs waiting for a slot, ordered by priority (high first) then queue time
+const taskQueue = [];
+
+// Completion promises per task, so callers can wait on tasks that haven't started
+const taskCompletions = new Map();
+
+// Emits "update" with a task ID whenever the task's record changes (our own
+// saves, and changes read from other instances) and once it has finished,
+// so waiters don't have to poll
+const taskEvents = new EventEmitter();
+taskEvents.setMaxListeners(0);
+
 // Initialize directories
 async function initDirs() {
   await mkdir(LOGS_DIR, { recursive: true });
-  // Load existing tasks from disk
+  await mkdir(WORKTREES_DIR, { recursive: true });
+  // Load existing tasks from disk. Tasks whose Codex process is still alive
+  // are re-adopted while loading.
+  await saveTasks();
+  for (const task of tasks.values()) {
+    // Tasks of another live server instance are still running there
+    if (isOwnedElsewhere(task) || isOwnPendingTask(task)) continue;
+    // Mark any "running" tasks from previous sessions as "unknown"
+    if (task.status === "running") {
+      task.status = "interrupted";
+      task.failureReason = "Server restarted while task was running";
+      task.failureClass = "interrupted";
+    }
+    // Queued tasks never started; don't start them behind the caller's back
+    if (task.status === "queued") {
+      task.status = "interrupted";
+      task.failureReason = "Server restarted before task started";
+      task.failureClass = "interrupted";
+    }
+  }
+  await cleanupWorktrees();
+
+  // Load pipelines. Those of exited servers are taken over when one of their
+  // steps was re-adopted above, and interrupted otherwise (refreshPipelines);
+  // ones saved without an owner can't resume.
+  await refreshPipelines();
+  for (const pipeline of pipelines.values()) {
+    if (pipeline.status === "running" && !pipeline.owner) {
+      interruptPipeline(pipeline, "Server restarted while pipeline was running");
+    }
+  }
+  await savePipelines();
+
+  // Apply the configured retention, then start from a fresh snapshot
+  if (CONFIG.retention) {
+    const { prune } = selectPrunableTasks(CONFIG.retention);
+    if (prune.length > 0) {
+      await pruneTasks(prune);
+      console.error(`Retention: pruned ${prune.length} task(s)`);
+    }
+  }
+  await compactTasks();
+}
+
+function interruptPipeline(pipeline, reason) {
+  pipeline.status = "interrupted";
+  pipeline.completedAt = new Date().toISOString();
+  for (const step of pipeline.steps) {
+    if (step.status === "pending" || step.status === "started") {
+      step.status = "cancelled";
+      step.error = reason;
+    }
+  }
+}
+
+// Write a file atomically: write and sync a temp file, then rename it over
+// the target, so a crash leaves either the old or the new contents
+async function writeFileAtomic(file, data) {
+  const tmp = `${file}.${randomUUID().slice(0, 8)}.tmp`;
+  const handle = await open(tmp, "w");
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await rename(tmp, file);
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === "EPERM";
+  }
+}
+
+// A queued or running task (or running pipeline) that belongs to another
+// server instance that is still alive. Its record there is authoritative.
+function isOwnedElsewhere(record) {
+  const pending = record && (record.status === "queued" || record.status === "running");
+  return Boolean(pending && record.owner && record.owner.instance !== INSTANCE_ID && isProcessAlive(record.owner.pid));
+}
+
+// Our own queued or running task; our in-memory copy is authoritative
+function isOwnPendingTask(record) {
+  return Boolean(record && isTaskPending(record) && record.owner?.instance === INSTANCE_ID);
+}
+
+// Run `fn` holding the cross-process store lock. The lock is a file created
+// exclusively; one left behind by a dead process, or held for longer than any
+// store operation takes, is broken.
+async function withStoreLock(fn) {
+  const deadline = Date.now() + 10000;
+  for (;;) {
+    try {
+      const handle = await open(STORE_LOCK, "wx");
+      await handle.writeFile(JSON.stringify({ pid: process.pid, instance: INSTANCE_ID, at: Date.now() }));
+      await handle.close();
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      if (await isStoreLockStale()) {
+        await unlink(STORE_LOCK).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the task store lock ${STORE_LOCK}`);
+      }
+      await new Promise((r) => setTimeout(r, 20 + Math.random() * 30));
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    await unlink(STORE_LOCK).catch(() => {});
+  }
+}
+
+async function isStoreLockStale() {
+  try {
+    const holder = JSON.parse(await readFile(STORE_LOCK, "utf-8"));
+    return !isProcessAlive(holder.pid) || Date.now() - holder.at > STORE_LOCK_STALE_MS;
+  } catch {
+    // Unreadable or still being written; only stale if it's been that way a while
+    const info = await stat(STORE_LOCK).catch(() => null);
+    return info !== null && Date.now() - info.mtimeMs > STORE_LOCK_STALE_MS;
+  }
+}
+
+// Bring the in-memory tasks in line with the shared store, then journal our
+// own changes. Every save picks up what other instances wrote, so this is
+// also how reads get fresh status for tasks running elsewhere.
+function saveTasks() {
+  const run = storeQueue.then(() => withStoreLock(async () => {
+    await readStoreChanges();
+    await writeTaskChanges();
+  })).then(publishTaskChanges);
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+// Refresh before reading task state another instance may have changed
+async function refreshTasks() {
+  await saveTasks();
+}
+
+// Read what other instances wrote since we last looked. When the snapshot
+// was replaced (another instance compacted), reload it and the whole journal.
+async function readStoreChanges() {
+  const info = await stat(TASKS_FILE).catch(() => null);
+  const stamp = info ? `${info.ino}:${info.mtimeMs}` : null;
+  const entries = [];
+  let reloaded = false;
+
+  if (stamp !== snapshotStamp) {
+    if (info) {
+      try {
+        const snapshot = JSON.parse(await readFile(TASKS_FILE, "utf-8"));
+        for (const [id, task] of Object.entries(snapshot)) entries.push({ op: "put", id, task });
+      } catch (err) {
+        // Keep the damaged file for inspection; the journal may still recover recent tasks
+        const aside = `${TASKS_FILE}.corrupt-${Date.now()}`;
+        await rename(TASKS_FILE, aside).catch(() => {});
+        console.error(`Could not read ${TASKS_FILE} (${err.message}); moved it to ${aside}`);
+      }
+    }
+    snapshotStamp = stamp;
+    journalOffset = 0;
+    reloaded = true;
+  }
+
+  const handle = await open(TASKS_JOURNAL, "a+");
   try {
-    const data = await readFile(TASKS_FILE, "utf-8");
-    const savedTasks = JSON.parse(data);
-    for (const [id, task] of Object.entries(savedTasks)) {
-      // Mark any "running" tasks from previous sessions as "unknown"
-      if (task.status === "running") {
-        task.status = "interrupted";
-        task.failureReason = "Server restarted while task was running";
+    const { size } = await handle.stat();
+    if (size < journalOffset) journalOffset = 0;
+    if (size > journalOffset) {
+      const buffer = Buffer.alloc(size - journalOffset);
+      await handle.read(buffer, 0, buffer.length, journalOffset);
+      const text = buffer.toString("utf-8");
+      for (const line of text.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          entries.push(JSON.parse(line));
+        } catch {
+          // Torn write from a crash
+        }
+      }
+      journalOffset = size;
+      // End a torn line so the next append doesn't run into it
+      if (!text.endsWith("\n")) {
+        await handle.appendFile("\n");
+        journalOffset++;
+      }
+    }
+  } finally {
+    await handle.close();
+  }
+
+  const seen = new Set();
+  for (const entry of entries) {
+    seen.add(entry.id);
+    const local = tasks.get(entry.id);
+    if (entry.op === "put") {
+      // Every write bumps `rev`; keep our copy unless the stored one is newer
+      persistedTasks.set(entry.id, JSON.stringify(entry.task));
+      if (!local || (entry.task.rev || 0) > (local.rev || 0)) {
+        tasks.set(entry.id, entry.task);
+        changedTaskIds.add(entry.id);
       }
-      tasks.set(id, task);
+    } else if (entry.op === "delete" && !isOwnPendingTask(local)) {
+      tasks.delete(entry.id);
+      persistedTasks.delete(entry.id);
+    }
+  }
+
+  // After a reload, stored tasks missing from the store were pruned elsewhere
+  if (reloaded) {
+    for (const id of persistedTasks.keys()) {
+      if (seen.has(id) || isOwnPendingTask(tasks.get(id))) continue;
+      tasks.delete(id);
+      persistedTasks.delete(id);
+    }
+  }
+
+  // Tasks whose server exited without finishing them. A Codex process that
+  // outlived its server is claimed by this instance (the claim is journaled
+  // under the same lock, so only one instance takes it); the rest are dead.
+  for (const task of tasks.values()) {
+    if (!isTaskPending(task) || !task.owner || task.owner.instance === INSTANCE_ID) continue;
+    if (isProcessAlive(task.owner.pid)) continue;
+    if (task.status === "running" && task.stdoutFile && await isTaskProcess(task)) {
+      task.owner = { instance: INSTANCE_ID, pid: process.pid };
+      setImmediate(() => adoptTask(task));
+      continue;
     }
+    task.status = "interrupted";
+    task.failureReason = `The server instance running this task (pid ${task.owner.pid}) exited`;
+    task.failureClass = "interrupted";
+  }
+}
+
+async function writeTaskChanges() {
+  const lines = [];
+  for (const [id, task] of tasks) {
+    if (persistedTasks.get(id) === JSON.stringify(task)) continue;
+    task.rev = (task.rev || 0) + 1;
+    changedTaskIds.add(id);
+    const json = JSON.stringify(task);
+    lines.push(`{"op":"put","id":${JSON.stringify(id)},"task":${json}}`);
+    persistedTasks.set(id, json);
+  }
+  for (const id of persistedTasks.keys()) {
+    if (tasks.has(id)) continue;
+    lines.push(JSON.stringify({ op: "delete", id }));
+    persistedTasks.delete(id);
+  }
+  if (lines.length === 0) return;
+
+  const data = lines.join("\n") + "\n";
+  await appendFile(TASKS_JOURNAL, data);
+  // We hold the lock, so nothing else was appended in between
+  journalOffset += Buffer.byteLength(data);
+  journalEntries += lines.length;
+  if (journalEntries >= JOURNAL_COMPACT_THRESHOLD) await writeTaskSnapshot();
+}
+
+// Fold the journal into a new snapshot
+function compactTasks() {
+  const run = storeQueue.then(() => withStoreLock(async () => {
+    await readStoreChanges();
+    await writeTaskSnapshot();
+  }));
+  storeQueue = run.catch(() => {});
+  return run;
+}
+
+async function writeTaskSnapshot() {
+  await writeFileAtomic(TASKS_FILE, JSON.stringify(Object.fromEntries(tasks), null, 2));
+  persistedTasks.clear();
+  for (const [id, task] of tasks) persistedTasks.set(id, JSON.stringify(task));
+  // A crash before this truncate only means replaying puts the snapshot already has
+  await writeFile(TASKS_JOURNAL, "");
+  const info = await stat(TASKS_FILE);
+  snapshotStamp = `${info.ino}:${info.mtimeMs}`;
+  journalOffset = 0;
+  journalEntries = 0;
+}
+
+// Pick up pipelines other instances saved. Our own pipelines keep their
+// in-memory state, which is newer than what's stored (a pipeline that just
+// finished is still "running" on disk). A pipeline whose server exited is
+// taken over by the instance that re-adopted one of its running steps (see
+// resumePipelineStep), left alone while a step may still be re-adopted, and
+// interrupted otherwise.
+async function refreshPipelines() {
+  let stored = {};
+  try {
+    stored = JSON.parse(await readFile(PIPELINES_FILE, "utf-8"));
   } catch {
-    // No existing tasks file
+    // No existing pipelines file
+  }
+  for (const [id, pipeline] of Object.entries(stored)) {
+    const local = pipelines.get(id);
+    if (local && local.owner?.instance === INSTANCE_ID) continue;
+    if (pipeline.status === "running" && pipeline.owner && pipeline.owner.instance !== INSTANCE_ID &&
+        !isProcessAlive(pipeline.owner.pid)) {
+      const started = pipeline.steps.filter((s) => s.status === "started" && s.taskId);
+      if (started.some((s) => isOwnPendingTask(tasks.get(s.taskId)))) {
+        pipeline.owner = { instance: INSTANCE_ID, pid: process.pid };
+        // Steps whose task ended while no server was following them
+        for (const step of started) {
+          const taskRecord = tasks.get(step.taskId);
+          if (!taskRecord || isTaskPending(taskRecord)) continue;
+          step.status = taskRecord.status === "completed" ? "completed" : "failed";
+          step.completedAt = taskRecord.completedAt || new Date().toISOString();
+          if (taskRecord.failureReason) step.error = taskRecord.failureReason;
+        }
+      } else if (!started.some((s) => isTaskPending(tasks.get(s.taskId) || {}))) {
+        interruptPipeline(pipeline, `The server instance running this pipeline (pid ${pipeline.owner.pid}) exited`);
+      }
+    }
+    pipelines.set(id, pipeline);
   }
 }
 
-async function saveTasks() {
-  const obj = Object.fromEntries(tasks);
-  await writeFile(TASKS_FILE, JSON.stringify(obj, null, 2));
+// Merge our pipelines into pipelines.json under the store lock
+function savePipelines() {
+  const run = storeQueue.then(() => withStoreLock(async () => {
+    await refreshPipelines();
+    await writeFileAtomic(PIPELINES_FILE, JSON.stringify(Object.fromEntries(pipelines), null, 2));
+  }));
+  storeQueue = run.catch(() => {});
+  return run;
 }
 
 // Format duration in human readable form
@@ -86,9 +820,333 @@ function getSignalName(code) {
   return null;
 }
 
-// Default model and reasoning settings
-const DEFAULT_MODEL = "gpt-5.2-codex";
-const DEFAULT_REASONING_EFFORT = "high";
+// Event timeline types recorded from Codex's --json stream
+const EVENT_TYPES = [
+  "session",
+  "turn",
+  "command",
+  "file_change",
+  "agent_message",
+  "reasoning",
+  "mcp_tool_call",
+  "web_search",
+  "todo_list",
+  "error",
+];
+
+// Normalize one JSONL event from `codex exec --json` into a timeline entry.
+// Returns null for events that carry nothing worth recording (e.g. item.started).
+function normalizeCodexEvent(json) {
+  switch (json.type) {
+    case "thread.started":
+      return { type: "session", sessionId: json.thread_id };
+    case "turn.started":
+      return { type: "turn", phase: "started" };
+    case "turn.completed":
+      return { type: "turn", phase: "completed", usage: json.usage || null };
+    case "turn.failed":
+      return { type: "error", source: "turn", message: json.error?.message || "Turn failed" };
+    case "error":
+      return { type: "error", source: "stream", message: json.message || "Unknown error" };
+    case "item.completed":
+      break;
+    default:
+      return null;
+  }
+
+  const item = json.item || {};
+  switch (item.type) {
+    case "command_execution":
+      return {
+        type: "command",
+        command: item.command,
+        exitCode: item.exit_code ?? null,
+        status: item.status || null,
+        output: (item.aggregated_output || "").slice(-2000),
+      };
+    case "file_change":
+      return {
+        type: "file_change",
+        status: item.status || null,
+        changes: (item.changes || []).map((c) => ({ path: c.path, kind: c.kind })),
+      };
+    case "agent_message":
+      return { type: "agent_message", text: item.text || "" };
+    case "reasoning":
+      return { type: "reasoning", text: item.text || "" };
+    case "mcp_tool_call":
+      return {
+        type: "mcp_tool_call",
+        server: item.server,
+        tool: item.tool,
+        status: item.status || null,
+      };
+    case "web_search":
+      return { type: "web_search", query: item.query };
+    case "todo_list":
+      return {
+        type: "todo_list",
+        items: (item.items || []).map((t) => ({ text: t.text, completed: !!t.completed })),
+      };
+    case "error":
+      return { type: "error", source: "item", message: item.message || "Unknown error" };
+    default:
+      return null;
+  }
+}
+
+// Load a task's timeline. Tasks recorded before timelines existed fall back to
+// parsing the JSONL lines out of the raw log (without per-event timestamps).
+async function readTaskEvents(taskRecord) {
+  if (taskRecord.eventsFile && existsSync(taskRecord.eventsFile)) {
+    const data = await readFile(taskRecord.eventsFile, "utf-8");
+    const events = [];
+    for (const line of data.split("\n")) {
+      if (!line) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        // Last line still being written
+      }
+    }
+    return events;
+  }
+
+  const events = [];
+  try {
+    const log = await readFile(taskRecord.logFile, "utf-8");
+    for (const line of log.split("\n")) {
+      if (!line.startsWith("{")) continue;
+      try {
+        const event = normalizeCodexEvent(JSON.parse(line));
+        if (event) events.push({ seq: events.length + 1, timestamp: null, ...event });
+      } catch {
+        // Partial line interleaved with stderr
+      }
+    }
+  } catch {
+    // No log file
+  }
+  return events;
+}
+
+// One-line human summary of a timeline entry
+function describeEvent(event) {
+  switch (event.type) {
+    case "session":
+      return `Session ${event.sessionId}`;
+    case "turn":
+      if (event.phase === "completed" && event.usage) {
+        return `Turn completed (in=${event.usage.input_tokens ?? 0}, out=${event.usage.output_tokens ?? 0})`;
+      }
+      return `Turn ${event.phase}`;
+    case "command":
+      return `\`${event.command}\` → exit ${event.exitCode ?? "?"}`;
+    case "file_change":
+      return event.changes.map((c) => `${c.kind} ${c.path}`).join(", ");
+    case "agent_message":
+    case "reasoning":
+      return event.text.replace(/\s+/g, " ").slice(0, 200);
+    case "mcp_tool_call":
+      return `${event.server}.${event.tool} (${event.status || "unknown"})`;
+    case "web_search":
+      return `Search: ${event.query}`;
+    case "todo_list":
+      return `${event.items.filter((t) => t.completed).length}/${event.items.length} todo items done`;
+    case "error":
+      return `${event.source}: ${event.message}`;
+    default:
+      return "";
+  }
+}
+
+// Run a git command in `cwd` and return trimmed stdout
+async function git(cwd, gitArgs, env = {}) {
+  const { stdout } = await execFileAsync("git", gitArgs, {
+    cwd,
+    env: { ...process.env, ...env },
+    maxBuffer: 64 * 1024 * 1024,
+  });
+  return stdout.trimEnd();
+}
+
+// Snapshot HEAD and the full working tree (tracked changes + untracked files,
+// respecting .gitignore) as a tree object, without touching the real index.
+// A private copy of the index keeps git's stat cache so this stays fast.
+async function captureGitSnapshot(cwd, scratchIndex) {
+  const inside = await git(cwd, ["rev-parse", "--is-inside-work-tree"]).catch(() => "false");
+  if (inside !== "true") {
+    throw new Error(`Not a git repository: ${cwd}`);
+  }
+  const head = await git(cwd, ["rev-parse", "--verify", "-q", "HEAD"]).catch(() => null);
+  const realIndex = await git(cwd, ["rev-parse", "--path-format=absolute", "--git-path", "index"]);
+  try {
+    if (existsSync(realIndex)) {
+      await copyFile(realIndex, scratchIndex);
+    }
+    const env = { GIT_INDEX_FILE: scratchIndex };
+    await git(cwd, ["add", "-A"], env);
+    const tree = await git(cwd, ["write-tree"], env);
+    return { head, tree, capturedAt: new Date().toISOString() };
+  } finally {
+    await unlink(scratchIndex).catch(() => {});
+  }
+}
+
+// Diff two snapshots: per-file status and line stats, plus the full patch
+async function diffGitSnapshots(cwd, fromTree, toTree) {
+  const nameStatus = await git(cwd, ["diff", "--name-status", "-M", fromTree, toTree]);
+  const numstat = await git(cwd, ["diff", "--numstat", "-M", fromTree, toTree]);
+  const patch = await git(cwd, ["diff", "-M", "--binary", fromTree, toTree]);
+
+  const files = [];
+  for (const line of nameStatus.split("\n").filter(Boolean)) {
+    const [code, ...paths] = line.split("\t");
+    const status = { A: "added", D: "deleted", M: "modified", R: "renamed", T: "modified" }[code[0]] || code;
+    files.push({
+      path: paths[paths.length - 1],
+      oldPath: paths.length > 1 ? paths[0] : undefined,
+      status,
+      additions: 0,
+      deletions: 0,
+      binary: false,
+    });
+  }
+  for (const [i, line] of numstat.split("\n").filter(Boolean).entries()) {
+    const [add, del] = line.split("\t");
+    if (!files[i]) break;
+    files[i].binary = add === "-";
+    files[i].additions = add === "-" ? 0 : Number(add);
+    files[i].deletions = del === "-" ? 0 : Number(del);
+  }
+
+  const stats = {
+    filesChanged: files.length,
+    added: files.filter((f) => f.status === "added").length,
+    modified: files.filter((f) => f.status === "modified" || f.status === "renamed").length,
+    deleted: files.filter((f) => f.status === "deleted").length,
+    additions: files.reduce((n, f) => n + f.additions, 0),
+    deletions: files.reduce((n, f) => n + f.deletions, 0),
+  };
+  return { files, stats, patch };
+}
+
+// Extract one file's section from a unified patch
+function extractFilePatch(patch, filePath) {
+  const sections = patch.split(/^(?=diff --git )/m);
+  return sections.filter((section) => {
+    const header = section.split("\n")[0];
+    return header.endsWith(` b/${filePath}`) || header.includes(` a/${filePath} `);
+  }).join("");
+}
+
+// One-line summary of a task's diff stats
+function formatDiffStats(stats) {
+  return `${stats.filesChanged} file(s) changed (${stats.added} added, ${stats.modified} modified, ${stats.deleted} deleted), +${stats.additions} -${stats.deletions}`;
+}
+
+// Git identity flags for commits the connector makes itself, used only when
+// the repo has no user configured (commits would fail otherwise)
+async function gitIdentityArgs(cwd) {
+  const email = await git(cwd, ["config", "user.email"]).catch(() => "");
+  if (email) return [];
+  return ["-c", "user.name=Codex Connector", "-c", "user.email=codex-connector@localhost"];
+}
+
+// Create a dedicated branch + worktree for an isolated task. Returns the
+// worktree record stored on the task, and the directory Codex should run in
+// (the same subdirectory of the worktree as workingDirectory is of its repo).
+async function createTaskWorktree(taskId, workingDirectory) {
+  const repoRoot = await git(workingDirectory, ["rev-parse", "--show-toplevel"]).catch(() => null);
+  if (!repoRoot) {
+    throw new Error(`Worktree isolation requires a git repository: ${workingDirectory}`);
+  }
+  const baseHead = await git(repoRoot, ["rev-parse", "--verify", "-q", "HEAD"]).catch(() => null);
+  if (!baseHead) {
+    throw new Error(`Worktree isolation requires at least one commit in ${repoRoot}`);
+  }
+
+  const branch = `codex/${taskId}`;
+  const path = join(WORKTREES_DIR, taskId);
+  await git(repoRoot, ["worktree", "add", "-b", branch, path, baseHead]);
+
+  const subdir = relative(repoRoot, workingDirectory);
+  return {
+    repoRoot,
+    path,
+    branch,
+    baseHead,
+    cwd: subdir ? join(path, subdir) : path,
+  };
+}
+
+// Commit everything Codex left in the worktree onto the task branch so it can
+// be merged or cherry-picked. Returns the new commit, or null if nothing changed.
+async function commitTaskWorktree(worktree, message) {
+  await git(worktree.path, ["add", "-A"]);
+  const status = await git(worktree.path, ["status", "--porcelain"]);
+  if (!status) return null;
+  const identity = await gitIdentityArgs(worktree.path);
+  await git(worktree.path, [...identity, "commit", "-q", "--no-verify", "-m", message]);
+  return git(worktree.path, ["rev-parse", "HEAD"]);
+}
+
+// Remove a task's worktree and branch. Missing pieces are not an error.
+async function removeTaskWorktree(worktree) {
+  await git(worktree.repoRoot, ["worktree", "remove", "--force", worktree.path]).catch(() => {});
+  await rm(worktree.path, { recursive: true, force: true });
+  await git(worktree.repoRoot, ["worktree", "prune"]).catch(() => {});
+  await git(worktree.repoRoot, ["branch", "-D", worktree.branch]).catch(() => {});
+}
+
+// Clean up worktrees left behind by a crash: half-created ones are removed,
+// directories no task knows about are removed, and worktrees of interrupted
+// tasks are kept (their work may be worth applying) but marked as such.
+async function cleanupWorktrees() {
+  const known = new Set();
+  let changed = false;
+
+  for (const task of tasks.values()) {
+    const wt = task.worktree;
+    if (!wt) continue;
+    // Another instance's task is still using its worktree
+    if (isOwnedElsewhere(task)) {
+      known.add(task.id);
+      continue;
+    }
+
+    if (wt.state === "creating") {
+      await removeTaskWorktree(wt);
+      wt.state = "discarded";
+      wt.updatedAt = new Date().toISOString();
+      wt.note = "Removed on startup: creation was interrupted";
+      changed = true;
+    } else if (wt.state === "active" && task.status === "interrupted") {
+      wt.state = existsSync(wt.path) ? "interrupted" : "discarded";
+      wt.updatedAt = new Date().toISOString();
+      changed = true;
+    } else if (["ready", "interrupted"].includes(wt.state) && !existsSync(wt.path)) {
+      // Removed behind our back
+      await git(wt.repoRoot, ["worktree", "prune"]).catch(() => {});
+      wt.state = "discarded";
+      wt.updatedAt = new Date().toISOString();
+      wt.note = "Worktree directory no longer exists";
+      changed = true;
+    }
+
+    if (!["discarded", "applied"].includes(wt.state)) {
+      known.add(task.id);
+    }
+  }
+
+  for (const entry of await readdir(WORKTREES_DIR).catch(() => [])) {
+    if (!known.has(entry)) {
+      await rm(join(WORKTREES_DIR, entry), { recursive: true, force: true });
+    }
+  }
+
+  if (changed) await saveTasks();
+}
 
 const server = new Server(
   {
@@ -98,6 +1156,8 @@ const server = new Server(
   {
     capabilities: {
       tools: {},
+      resources: { subscribe: true, listChanged: true },
+      prompts: {},
       logging: {}, // Enable logging for progress notifications
     },
   }
@@ -121,35 +1181,361 @@ async function sendProgress(taskId, message, data = {}) {
   }
 }
 
-// Tool definitions
-server.setRequestHandler(ListToolsRequestSchema, async () => {
-  return {
-    tools: [
-      {
-        name: "codex_agent",
-        description:
-          `Spawn an OpenAI Codex agent to handle a coding task.
+// Resolve the key used for per-repo concurrency limits: the git toplevel of
+// the working directory, or the directory itself outside a repo
+async function resolveRepoKey(workingDirectory) {
+  return git(workingDirectory, ["rev-parse", "--show-toplevel"]).catch(() => workingDirectory);
+}
 
-IMPORTANT: Before calling this tool, you MUST:
-1. Call codex_list_sessions to get available sessions
-2. Use AskUserQuestion to ask the user:
-   - Question 1: "Start new Codex session or continue existing?" with options showing recent sessions
-   - Question 2: "How should the task run?" with options: "Wait for completion", "Async with monitoring subagent", "Async (manual status checks)"
-3. Then call this tool with the user's selections (sessionId if continuing, async=true if async mode)
+function createCompletion(taskId) {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  const completion = { promise, resolve };
+  taskCompletions.set(taskId, completion);
+  return completion;
+}
 
-If user selects "Async with monitoring subagent", after this tool returns, spawn a background Task subagent to call codex_wait.`,
-        inputSchema: {
-          type: "object",
-          properties: {
-            task: {
-              type: "string",
-              description: "The task or prompt to send to Codex",
-            },
-            sandbox: {
+function resolveCompletion(taskId, result) {
+  const completion = taskCompletions.get(taskId);
+  if (completion) {
+    taskCompletions.delete(taskId);
+    completion.resolve(result);
+  }
+  taskEvents.emit("update", taskId);
+}
+
+// Finished for good: not pending, and not about to be retried or resumed
+// (its completion is only resolved once no further attempt follows)
+function isTaskFinal(record) {
+  return Boolean(record) && !isTaskPending(record) && !taskCompletions.has(record.id);
+}
+
+function enqueueTask(taskRecord) {
+  taskQueue.push(taskRecord.id);
+  taskQueue.sort((a, b) => {
+    const ta = tasks.get(a);
+    const tb = tasks.get(b);
+    return (tb.priority || 0) - (ta.priority || 0) || new Date(ta.queuedAt) - new Date(tb.queuedAt);
+  });
+}
+
+// Whether a task has not reached a final state yet
+function isTaskPending(taskRecord) {
+  return taskRecord.status === "queued" || taskRecord.status === "running";
+}
+
+// Concurrency limits apply per server instance, so only our tasks count
+function countRunningTasks(repoKey = null) {
+  let count = 0;
+  for (const t of tasks.values()) {
+    if (t.status === "running" && t.owner?.instance === INSTANCE_ID && (repoKey === null || t.repoKey === repoKey)) count++;
+  }
+  return count;
+}
+
+// Start queued tasks while slots are free. A task blocked by its repo's limit
+// doesn't hold up tasks for other repos behind it.
+function scheduleTasks() {
+  if (shuttingDown) return;
+  for (let i = 0; i < taskQueue.length && countRunningTasks() < MAX_CONCURRENT_TASKS;) {
+    const taskRecord = tasks.get(taskQueue[i]);
+    const backingOff = taskRecord.notBefore && new Date(taskRecord.notBefore) > Date.now();
+    if (backingOff || countRunningTasks(taskRecord.repoKey) >= MAX_TASKS_PER_REPO) {
+      i++;
+      continue;
+    }
+    taskQueue.splice(i, 1);
+    startTask(taskRecord);
+  }
+}
+
+function startTask(taskRecord) {
+  taskRecord.notBefore = null;
+  taskRecord.status = "running";
+  taskRecord.startedAt = new Date().toISOString();
+  taskRecord.lastActivityAt = taskRecord.startedAt;
+  taskRecord.lastActivityType = "started";
+
+  // Only a failure of runTask itself is a setup failure; once Codex has been
+  // spawned the task's outcome is whatever superviseTask recorded
+  runTask(taskRecord)
+    .then(({ result, exited }) => result || superviseTask(taskRecord, exited), async (err) => {
+      const failureReason = `Task setup failed: ${err.message}`;
+      taskRecord.status = "failed";
+      taskRecord.failureReason = failureReason;
+      taskRecord.failureClass = "spawn_error";
+      taskRecord.completedAt = new Date().toISOString();
+      taskRecord.duration = Date.now() - new Date(taskRecord.startedAt).getTime();
+      taskRecord.durationFormatted = formatDuration(taskRecord.duration);
+      taskRecord.pid = null;
+      await saveTasks().catch(() => {});
+      return {
+        status: "failed",
+        error: err.message,
+        failureReason,
+        failureClass: "spawn_error",
+        duration: taskRecord.duration,
+        durationFormatted: taskRecord.durationFormatted,
+      };
+    })
+    .then((result) => finishAttempt(taskRecord, result))
+    .catch((err) => abortTask(taskRecord, err));
+}
+
+// Record the attempt that just ended, then run the next one (stall resume,
+// output fix or retry) or resolve the task's completion
+async function finishAttempt(taskRecord, result) {
+  recordAttempt(taskRecord);
+  if (!(await scheduleStallResume(taskRecord)) && !(await scheduleOutputFix(taskRecord)) && !(await scheduleRetry(taskRecord))) {
+    resolveCompletion(taskRecord.id, result);
+  }
+  scheduleTasks();
+}
+
+// Last resort when handling an attempt failed (its log was pruned, the store
+// lock timed out while requeueing): fail the task unless it already finished,
+// and release whoever waits on it
+function abortTask(taskRecord, err) {
+  console.error(`Task ${taskRecord.id}: ${err.message}`);
+  const index = taskQueue.indexOf(taskRecord.id);
+  if (index !== -1) taskQueue.splice(index, 1);
+  taskSupervisors.delete(taskRecord.id);
+  activeProcesses.delete(taskRecord.id);
+  if (isTaskPending(taskRecord)) {
+    taskRecord.status = "failed";
+    taskRecord.failureReason = `Internal error: ${err.message}`;
+    taskRecord.failureClass = "internal_error";
+    taskRecord.completedAt = new Date().toISOString();
+    taskRecord.duration = Date.now() - new Date(taskRecord.startedAt).getTime();
+    taskRecord.durationFormatted = formatDuration(taskRecord.duration);
+    taskRecord.pid = null;
+  }
+  saveTasks().catch(() => {});
+  resolveCompletion(taskRecord.id, {
+    status: taskRecord.status,
+    failureReason: taskRecord.failureReason,
+    failureClass: taskRecord.failureClass,
+    duration: taskRecord.duration,
+    durationFormatted: taskRecord.durationFormatted,
+    result: taskRecord.result,
+  });
+  scheduleTasks();
+}
+
+// Append the attempt that just finished to the task's attempt history
+function recordAttempt(taskRecord) {
+  taskRecord.attempts.push({
+    attempt: taskRecord.attempt,
+    startedAt: taskRecord.startedAt,
+    completedAt: taskRecord.completedAt,
+    duration: taskRecord.duration,
+    status: taskRecord.status,
+    exitCode: taskRecord.exitCode,
+    exitSignal: taskRecord.exitSignal,
+    failureClass: taskRecord.failureClass,
+    failureReason: taskRecord.failureReason,
+    resumedFromSession: taskRecord.resumedFromSession,
+    codexSessionId: taskRecord.codexSessionId,
+  });
+}
+
+// Put a finished attempt back in the queue to run again after `delay` ms.
+// The next attempt resumes the captured Codex session when there is one, with
+// `nudge` prepended to the task so the model knows why it was restarted.
+// Returns the session being resumed, if any.
+async function requeueTask(taskRecord, delay, nudge, followUp = null) {
+  const sessionId = taskRecord.codexSessionId || taskRecord.resumedFromSession;
+
+  taskRecord.attempt++;
+  taskRecord.resumedFromSession = sessionId;
+  taskRecord.codexArgs = buildCodexArgs({
+    sessionId,
+    model: taskRecord.model,
+    reasoningEffort: taskRecord.reasoningEffort,
+    sandbox: taskRecord.sandbox,
+    resultFile: taskRecord.resultFile,
+    outputSchemaFile: taskRecord.outputSchemaFile,
+    // A resumed session already has the attachments; starting over sends them again
+    images: sessionId ? [] : taskRecord.images,
+    prompt: sessionId
+      ? followUp || `${nudge} Continue the task where you left off:\n\n${taskRecord.task}`
+      : taskRecord.promptFile ? "-" : taskRecord.task,
+  });
+  taskRecord.command = formatCommand(taskRecord.codexArgs);
+
+  // Reset per-attempt state
+  taskRecord.status = "queued";
+  taskRecord.notBefore = delay > 0 ? new Date(Date.now() + delay).toISOString() : null;
+  taskRecord.exitCode = null;
+  taskRecord.exitSignal = null;
+  taskRecord.failureReason = null;
+  taskRecord.failureClass = null;
+  taskRecord.killReason = null;
+  taskRecord.completedAt = null;
+  taskRecord.duration = null;
+  taskRecord.durationFormatted = null;
+  taskRecord.result = null;
+  enqueueTask(taskRecord);
+  await saveTasks();
+
+  // Wake the scheduler once the backoff has passed
+  if (delay > 0) setTimeout(scheduleTasks, delay);
+  return sessionId;
+}
+
+// If the task was killed for stalling and its stall action is "resume",
+// restart it straight away in the same session.
+async function scheduleStallResume(taskRecord) {
+  const policy = taskRecord.stallPolicy;
+  if (!policy || policy.action !== "resume" || taskRecord.failureClass !== "stall") return false;
+
+  const stall = taskRecord.stalls[taskRecord.stalls.length - 1];
+  const resumes = taskRecord.stalls.filter((s) => s.outcome === "resumed").length;
+  if (resumes >= policy.maxResumes) {
+    if (stall) stall.outcome = "resume_limit_reached";
+    return false;
+  }
+
+  const sessionId = await requeueTask(
+    taskRecord,
+    0,
+    "Your previous run stopped producing output and was restarted."
+  );
+  if (stall) stall.outcome = "resumed";
+  await saveTasks();
+
+  const message = `Restarting stalled task (resume ${resumes + 1}/${policy.maxResumes}` +
+    `${sessionId ? `, resuming session ${sessionId}` : ", no session captured so starting over"})`;
+  await appendFile(taskRecord.logFile, `\n[${new Date().toISOString()}] STALL RESUME: ${message}\n\n`);
+  await sendProgress(taskRecord.id, message, {
+    status: "stall_resuming",
+    attempt: taskRecord.attempt,
+    stallAction: policy.action,
+    stallOutcome: "resumed",
+  });
+  return true;
+}
+
+// If the task's final message failed its output schema and fixes are
+// allowed, resume the session straight away and ask Codex to correct it
+async function scheduleOutputFix(taskRecord) {
+  if (taskRecord.failureClass !== "invalid_output" || !taskRecord.codexSessionId) return false;
+  if (taskRecord.outputFixes >= taskRecord.outputFixAttempts) return false;
+
+  const problem = taskRecord.failureReason;
+  taskRecord.outputFixes++;
+  await requeueTask(
+    taskRecord,
+    0,
+    null,
+    `Your final message did not match the required JSON output schema (${problem}). ` +
+      `Reply with only a JSON object that matches the schema, keeping the content of your previous answer.`
+  );
+
+  const message = `Asking Codex to fix its output (fix ${taskRecord.outputFixes}/${taskRecord.outputFixAttempts}): ${problem}`;
+  await appendFile(taskRecord.logFile, `\n[${new Date().toISOString()}] OUTPUT FIX: ${message}\n\n`);
+  await sendProgress(taskRecord.id, message, {
+    status: "fixing_output",
+    attempt: taskRecord.attempt,
+    failureClass: "invalid_output",
+  });
+  return true;
+}
+
+// If the task's retry policy covers this failure, put the task back in the
+// queue after the backoff delay
+async function scheduleRetry(taskRecord) {
+  const policy = taskRecord.retryPolicy;
+  if (!policy || taskRecord.status !== "failed") return false;
+  if (!policy.retryOn.includes(taskRecord.failureClass)) return false;
+  if (taskRecord.attempt >= policy.maxAttempts) return false;
+
+  const delay = Math.min(
+    policy.backoffMs * policy.backoffMultiplier ** (taskRecord.attempt - 1),
+    policy.maxBackoffMs
+  );
+  const previousClass = taskRecord.failureClass;
+  const sessionId = await requeueTask(
+    taskRecord,
+    delay,
+    `Your previous run was interrupted (${previousClass}).`
+  );
+
+  const message = `Retrying in ${formatDuration(delay)} after ${previousClass} ` +
+    `(attempt ${taskRecord.attempt}/${policy.maxAttempts}${sessionId ? `, resuming session ${sessionId}` : ""})`;
+  await appendFile(taskRecord.logFile, `\n[${new Date().toISOString()}] RETRY: ${message}\n\n`);
+  await sendProgress(taskRecord.id, message, {
+    status: "retrying",
+    attempt: taskRecord.attempt,
+    maxAttempts: policy.maxAttempts,
+    failureClass: previousClass,
+    delay: formatDuration(delay),
+  });
+  return true;
+}
+
+// One-line summary of the built-in and user templates for tool descriptions.
+// Repo templates depend on the working directory, so they aren't listed.
+function describeTemplates() {
+  const templates = [...collectTemplates(null).values()];
+  return "Templates: " + templates
+    .map((t) => t.description ? `${t.name} (${t.description})` : t.name)
+    .join(", ") + ", plus any in the repo's config.";
+}
+
+// One-line summary of the user's profiles for tool descriptions
+function describeProfiles() {
+  const entries = Object.entries(CONFIG.profiles || {});
+  if (entries.length === 0) return "No user profiles configured.";
+  return "User profiles: " + entries
+    .map(([name, profile]) => profile.description ? `${name} (${profile.description})` : name)
+    .join(", ") + ".";
+}
+
+// Tool definitions
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  return {
+    tools: [
+      {
+        name: "codex_agent",
+        description:
+          `Spawn an OpenAI Codex agent to handle a coding task.
+
+IMPORTANT: Before calling this tool, you MUST:
+1. Call codex_list_sessions to get available sessions
+2. Use AskUserQuestion to ask the user:
+   - Question 1: "Start new Codex session or continue existing?" with options showing recent sessions
+   - Question 2: "How should the task run?" with options: "Wait for completion", "Async with monitoring subagent", "Async (manual status checks)"
+3. Then call this tool with the user's selections (sessionId if continuing, async=true if async mode)
+
+If user selects "Async with monitoring subagent", after this tool returns, spawn a background Task subagent to call codex_wait.`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            task: {
+              type: "string",
+              description: "The task or prompt to send to Codex. Required unless template is given.",
+            },
+            template: {
+              type: "string",
+              description: `Use a named prompt template instead of task; its model, sandbox and other settings become defaults. ${describeTemplates()} Use codex_templates to see their variables and preview them.`,
+            },
+            variables: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Values for the template's {{variable}} placeholders",
+            },
+            attachments: {
+              type: "array",
+              items: { type: "string" },
+              description: `Files to give Codex with the task: paths or globs (e.g. "src/auth/**/*.ts"), relative to workingDirectory. Images (${IMAGE_EXTENSIONS.join(", ")}) are passed as image input; other files are packed into the prompt, up to ${formatBytes(ATTACHMENT_LIMITS.maxFileBytes)} each and ${formatBytes(ATTACHMENT_LIMITS.maxTotalBytes)} in total. Globs skip files ignored by git.`,
+            },
+            sandbox: {
               type: "string",
-              enum: ["read-only", "workspace-write", "danger-full-access"],
-              description: "Permission level. Defaults to danger-full-access.",
-              default: "danger-full-access",
+              enum: SANDBOX_MODES,
+              description: `Permission level. Defaults to ${DEFAULT_SANDBOX}.` +
+                (CONFIG.policy ? " A server policy may limit the sandbox per directory; a default above the limit is lowered, an explicit request above it is denied." : ""),
+              default: DEFAULT_SANDBOX,
             },
             workingDirectory: {
               type: "string",
@@ -157,14 +1543,14 @@ If user selects "Async with monitoring subagent", after this tool returns, spawn
             },
             model: {
               type: "string",
-              description: "Model to use. Defaults to gpt-5.2-codex.",
-              default: "gpt-5.2-codex",
+              description: `Model to use. Defaults to ${DEFAULT_MODEL}.`,
+              default: DEFAULT_MODEL,
             },
             reasoningEffort: {
               type: "string",
-              enum: ["low", "medium", "high"],
-              description: "Reasoning effort level. Defaults to high.",
-              default: "high",
+              enum: REASONING_EFFORTS,
+              description: `Reasoning effort level. Defaults to ${DEFAULT_REASONING_EFFORT}.`,
+              default: DEFAULT_REASONING_EFFORT,
             },
             async: {
               type: "boolean",
@@ -172,17 +1558,113 @@ If user selects "Async with monitoring subagent", after this tool returns, spawn
                 "If true, returns immediately with task ID. Use codex_status to check progress. Recommended for long-running tasks.",
               default: false,
             },
+            onAbort: {
+              type: "string",
+              enum: ABORT_ACTIONS,
+              description:
+                "What happens to the task if this call is cancelled while waiting (not async): 'kill' cancels it (default), 'detach' lets it keep running as an async task",
+              default: "kill",
+            },
             timeoutMs: {
               type: "number",
-              description: "Timeout in ms. 0 = no timeout (default).",
+              description: DEFAULT_TIMEOUT_MS > 0
+                ? `Timeout in ms. 0 = no timeout. Defaults to ${DEFAULT_TIMEOUT_MS}.`
+                : "Timeout in ms. 0 = no timeout (default).",
+              default: DEFAULT_TIMEOUT_MS,
+            },
+            maxTokens: {
+              type: "number",
+              description: "Stop the task (failure class \"budget_exceeded\") once it has used this many input plus output tokens, across all attempts",
+            },
+            maxCost: {
+              type: "number",
+              description: "Stop the task once its estimated cost exceeds this many USD",
+            },
+            outputSchema: {
+              type: "object",
+              description: "JSON Schema (type \"object\") for Codex's final message. Codex is told to answer in that shape, the answer is validated, and the parsed object is returned as structured content. An answer that doesn't match fails with failure class \"invalid_output\".",
+            },
+            outputFixAttempts: {
+              type: "number",
+              description: "With outputSchema: how many times to resume the session and ask Codex to fix an answer that doesn't match (default 0)",
               default: 0,
             },
+            ignoreBudget: {
+              type: "boolean",
+              description: "Run even though a daily or monthly budget from the config is used up, and don't stop this task for them. Only set this when the user explicitly asked to go over budget.",
+              default: false,
+            },
             sessionId: {
               type: "string",
               description: "Resume a previous Codex session. Pass the sessionId from a completed task to continue the conversation.",
             },
+            isolation: {
+              type: "string",
+              enum: ISOLATION_MODES,
+              description: `none = run in workingDirectory. worktree = run in a dedicated git branch and worktree so parallel tasks on the same repo don't collide; use codex_apply or codex_discard afterwards. Defaults to ${DEFAULT_ISOLATION}.`,
+              default: DEFAULT_ISOLATION,
+            },
+            priority: {
+              type: "number",
+              description: `Scheduling priority when the task has to queue (higher starts first, default ${DEFAULT_PRIORITY}). At most ${MAX_CONCURRENT_TASKS} tasks run at once, ${MAX_TASKS_PER_REPO} per repository.`,
+              default: DEFAULT_PRIORITY,
+            },
+            profile: {
+              type: "string",
+              description: `Named set of defaults from ${CONFIG_FILE} or the repo's ${REPO_CONFIG_NAME}. Arguments passed here override the profile. ${describeProfiles()}`,
+            },
+            retry: {
+              type: "object",
+              description: "Opt-in automatic retry for transient failures. Retries resume the task's Codex session when one was captured.",
+              properties: {
+                maxAttempts: {
+                  type: "number",
+                  description: "Total attempts including the first (2-10). Retries are off unless this is above 1.",
+                },
+                backoffMs: {
+                  type: "number",
+                  description: "Delay before the first retry in ms (default 30000)",
+                },
+                backoffMultiplier: {
+                  type: "number",
+                  description: "Factor applied to the delay after each retry (default 2)",
+                },
+                maxBackoffMs: {
+                  type: "number",
+                  description: "Upper bound on the delay in ms (default 600000)",
+                },
+                retryOn: {
+                  type: "array",
+                  items: { type: "string", enum: FAILURE_CLASSES.filter((c) => !NON_RETRYABLE_CLASSES.includes(c)) },
+                  description: `Failure classes to retry (default: ${DEFAULT_RETRYABLE_CLASSES.join(", ")})`,
+                },
+              },
+            },
+            stall: {
+              type: "object",
+              description: "Override how this task detects and handles stalls (no output from Codex).",
+              properties: {
+                heartbeatMs: {
+                  type: "number",
+                  description: `Heartbeat interval in ms; stalls are checked on each heartbeat (default ${HEARTBEAT_INTERVAL_MS})`,
+                },
+                thresholdMs: {
+                  type: "number",
+                  description: `How long without activity counts as a stall, in ms (default ${STALL_THRESHOLD_MS})`,
+                },
+                action: {
+                  type: "string",
+                  enum: STALL_ACTIONS,
+                  description: `warn = log and notify only. kill = stop the task (failure class "stall"). resume = stop it and restart it in the same session with a nudge. Default: ${STALL_ACTION}`,
+                },
+                maxResumes: {
+                  type: "number",
+                  description: `How many times the resume action may restart the task (default ${STALL_MAX_RESUMES})`,
+                },
+              },
+            },
           },
-          required: ["task", "workingDirectory"],
+          required: ["workingDirectory"],
         },
       },
       {
@@ -213,7 +1695,7 @@ If user selects "Async with monitoring subagent", after this tool returns, spawn
           properties: {
             status: {
               type: "string",
-              enum: ["all", "running", "completed", "failed", "interrupted"],
+              enum: ["all", "queued", "running", "completed", "failed", "interrupted"],
               description: "Filter by status (default: all)",
               default: "all",
             },
@@ -242,7 +1724,7 @@ If user selects "Async with monitoring subagent", after this tool returns, spawn
       {
         name: "codex_wait",
         description:
-          "Wait for a Codex task to complete. Blocks until the task finishes, then returns the full result. Useful for subagents monitoring async tasks.",
+          "Wait for one or more Codex tasks to complete. Blocks until they finish (all of them, or the first with mode 'any'), then returns the full results. Can also return early when a task starts, captures its session ID, stalls or is retried. Useful for subagents monitoring async tasks: one call can watch every task.",
         inputSchema: {
           type: "object",
           properties: {
@@ -250,9 +1732,26 @@ If user selects "Async with monitoring subagent", after this tool returns, spawn
               type: "string",
               description: "The task ID to wait for",
             },
+            taskIds: {
+              type: "array",
+              items: { type: "string" },
+              description: "Several task IDs to wait for (instead of taskId)",
+            },
+            mode: {
+              type: "string",
+              enum: ["all", "any"],
+              description: "With several tasks: return when 'all' have finished (default) or as soon as 'any' has",
+              default: "all",
+            },
+            until: {
+              type: "array",
+              items: { type: "string", enum: WAIT_EVENTS },
+              description:
+                "Also return early when one of these happens to a task: 'started' (left the queue), 'session' (session ID captured), 'stall' (stall detected), 'retry' (a new attempt began)",
+            },
             pollIntervalMs: {
               type: "number",
-              description: "How often to check status in ms (default: 5000)",
+              description: "How often to refresh tasks running in other instances and send waiting notifications, in ms (default: 5000). Own tasks are reported the moment they change.",
               default: 5000,
             },
             timeoutMs: {
@@ -260,14 +1759,20 @@ If user selects "Async with monitoring subagent", after this tool returns, spawn
               description: "Max time to wait in ms. 0 = no timeout (default).",
               default: 0,
             },
+            onAbort: {
+              type: "string",
+              enum: ABORT_ACTIONS,
+              description:
+                "What happens to the task if this call is cancelled: 'detach' leaves it running (default), 'kill' cancels it",
+              default: "detach",
+            },
           },
-          required: ["taskId"],
         },
       },
       {
         name: "codex_list_sessions",
         description:
-          "List recent Codex sessions that can be resumed. Returns session ID, timestamp, working directory, and task preview. Use this before codex_agent to let the user choose whether to start fresh or continue an existing session.",
+          "List recent Codex sessions that can be resumed, most recently active first. Returns session ID, timestamp, working directory, task preview and the connector tasks that created or resumed each session. Can search the sessions' prompts and messages and filter by directory and date. Use this before codex_agent to let the user choose whether to start fresh or continue an existing session.",
         inputSchema: {
           type: "object",
           properties: {
@@ -276,590 +1781,4334 @@ If user selects "Async with monitoring subagent", after this tool returns, spawn
               description: "Max sessions to return (default: 10)",
               default: 10,
             },
+            offset: {
+              type: "number",
+              description: "Skip this many matching sessions, for the next page (default: 0)",
+              default: 0,
+            },
             directory: {
               type: "string",
-              description: "Filter sessions by working directory (optional)",
+              description: "Only sessions run in this directory (optional); see directoryMatch",
+            },
+            directoryMatch: {
+              type: "string",
+              enum: SESSION_DIRECTORY_MATCHES,
+              description: "within = the directory or any directory below it (default), exact = that directory only",
+              default: "within",
+            },
+            query: {
+              type: "string",
+              description: "Only sessions whose user prompts or Codex messages contain all of these words (case-insensitive)",
+            },
+            since: {
+              type: "string",
+              description: "Only sessions active at or after this ISO timestamp or date",
+            },
+            until: {
+              type: "string",
+              description: "Only sessions started at or before this ISO timestamp or date (a date includes the whole day)",
             },
           },
         },
       },
-    ],
-  };
-});
-
-// Tool execution
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
-  const { name, arguments: args } = request.params;
-
-  try {
-    switch (name) {
-      case "codex_agent":
-        return await handleCodexAgent(args);
-      case "codex_status":
-        return await handleCodexStatus(args);
-      case "codex_tasks":
-        return await handleCodexTasks(args);
-      case "codex_cancel":
-        return await handleCodexCancel(args);
-      case "codex_wait":
-        return await handleCodexWait(args);
-      case "codex_list_sessions":
-        return await handleCodexListSessions(args);
-      default:
-        return {
-          content: [{ type: "text", text: `Unknown tool: ${name}` }],
-          isError: true,
-        };
-    }
-  } catch (error) {
-    return {
-      content: [{ type: "text", text: `Error: ${error.message}` }],
-      isError: true,
-    };
-  }
-});
-
-async function handleCodexAgent(args) {
-  const taskId = randomUUID().slice(0, 8);
-  const task = args.task;
-  const sandbox = args.sandbox || "danger-full-access";
-  const workingDirectory = args.workingDirectory;
-  const model = args.model || DEFAULT_MODEL;
-  const reasoningEffort = args.reasoningEffort || DEFAULT_REASONING_EFFORT;
-  const asyncMode = args.async || false;
-  const timeoutMs = args.timeoutMs || 0;
-  const sessionId = args.sessionId || null;
-
-  const logFile = join(LOGS_DIR, `${taskId}.log`);
-  const resultFile = join(LOGS_DIR, `${taskId}.result`);
-  const debugFile = join(LOGS_DIR, `${taskId}.debug.json`);
-
-  // Build the codex command - use 'exec resume' if sessionId provided
-  let codexArgs;
-  if (sessionId) {
-    // Resume an existing session
-    codexArgs = [
-      "exec",
-      "resume",
-      sessionId,
-      "--full-auto",
-      "--model",
-      model,
-      "-c",
-      `reasoning_effort="${reasoningEffort}"`,
-      "--json",
-      "--output-last-message",
-      resultFile,
-      task,
-    ];
-  } else {
-    // New session
-    codexArgs = [
-      "exec",
-      "--full-auto",
-      "--model",
-      model,
-      "-c",
-      `reasoning_effort="${reasoningEffort}"`,
-      "--sandbox",
-      sandbox,
-      "--json",
-      "--output-last-message",
-      resultFile,
-      task,
-    ];
-  }
-
-  const fullCommand = `${CODEX_PATH} ${codexArgs.map(a => a.includes(' ') ? `"${a}"` : a).join(' ')}`;
-
-  // Create task record with enhanced debugging info
-  const taskRecord = {
-    id: taskId,
-    task,
-    sandbox,
-    workingDirectory,
-    model,
-    reasoningEffort,
-    status: "running",
-    startedAt: new Date().toISOString(),
-    logFile,
-    resultFile,
-    debugFile,
-    pid: null,
-    // Session tracking
-    resumedFromSession: sessionId,  // The session we're resuming (if any)
-    codexSessionId: null,           // Will be captured from JSONL output
-    // Debug info
-    command: fullCommand,
-    codexPath: CODEX_PATH,
-    stdoutBytes: 0,
-    stderrBytes: 0,
-    lastActivityAt: new Date().toISOString(),
-    lastActivityType: "started",
-    lastOutputSnippet: "",
-    heartbeatCount: 0,
-    timeoutMs,
-    // Failure tracking
-    exitCode: null,
-    exitSignal: null,
-    failureReason: null,
-  };
-  tasks.set(taskId, taskRecord);
-  await saveTasks();
-
-  // Write initial debug info
-  await writeFile(debugFile, JSON.stringify({
-    taskId,
-    command: fullCommand,
-    codexPath: CODEX_PATH,
-    workingDirectory,
-    env: {
-      PATH: process.env.PATH,
-      HOME: process.env.HOME,
-      OPENAI_API_KEY: process.env.OPENAI_API_KEY ? "(set)" : "(not set)",
-    },
-    startedAt: taskRecord.startedAt,
-  }, null, 2));
-
-  const logStream = createWriteStream(logFile, { flags: "a" });
-
-  // Enhanced logging header
-  await appendFile(logFile, `${"=".repeat(60)}\n`);
-  await appendFile(logFile, `[${new Date().toISOString()}] TASK STARTED\n`);
-  await appendFile(logFile, `${"=".repeat(60)}\n`);
-  await appendFile(logFile, `Task ID: ${taskId}\n`);
-  await appendFile(logFile, `Command: ${fullCommand}\n`);
-  await appendFile(logFile, `Working directory: ${workingDirectory}\n`);
+      {
+        name: "codex_session_show",
+        description:
+          "Show what is in a Codex session as a readable transcript: user turns, Codex's messages, the commands it ran with their output, and the files it edited. Use it before continuing a session to check what it already did. Modes: transcript (paginated), summary (one line per turn) or a single turn in full.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            sessionId: {
+              type: "string",
+              description: "The session ID from codex_list_sessions",
+            },
+            taskId: {
+              type: "string",
+              description: "Instead of sessionId: show the session of this connector task",
+            },
+            mode: {
+              type: "string",
+              enum: SESSION_SHOW_MODES,
+              description: "transcript = turns in order, a page at a time (default); summary = one table row per turn; turn = one turn in full, including patches",
+              default: "transcript",
+            },
+            turn: {
+              type: "number",
+              description: "For mode 'turn': the turn number, starting at 1; negative counts from the end (default -1, the last turn)",
+            },
+            fromTurn: {
+              type: "number",
+              description: "For mode 'transcript': the first turn to show (default 1)",
+              default: 1,
+            },
+            limit: {
+              type: "number",
+              description: "For mode 'transcript': turns per page (default 5)",
+              default: 5,
+            },
+            outputLines: {
+              type: "number",
+              description: "Lines of each command's output to show, from the end (default 20, or 200 in mode 'turn')",
+            },
+          },
+        },
+      },
+      {
+        name: "codex_events",
+        description:
+          "Show the structured event timeline of a Codex task: commands run with exit codes, files touched, agent messages, reasoning summaries and errors. Filter by event type and time range.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            taskId: {
+              type: "string",
+              description: "The task ID returned by codex_agent",
+            },
+            types: {
+              type: "array",
+              items: { type: "string", enum: EVENT_TYPES },
+              description: "Only return these event types (default: all)",
+            },
+            since: {
+              type: "string",
+              description: "Only events at or after this ISO timestamp",
+            },
+            until: {
+              type: "string",
+              description: "Only events at or before this ISO timestamp",
+            },
+            limit: {
+              type: "number",
+              description: "Max events to return, most recent last (default 100)",
+              default: 100,
+            },
+            includeOutput: {
+              type: "boolean",
+              description: "Include command output and full message text (default false)",
+              default: false,
+            },
+          },
+          required: ["taskId"],
+        },
+      },
+      {
+        name: "codex_tail",
+        description:
+          "Follow a Codex task's output incrementally. Returns only what was written after the cursor, plus the next cursor to pass on the following call, so a long task can be watched without re-reading its log. Supports grep filtering, raw stdout or stderr, the event timeline, and long-polling for new output.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            taskId: {
+              type: "string",
+              description: "The task ID returned by codex_agent",
+            },
+            cursor: {
+              type: "number",
+              description: "Where to continue: the 'Next cursor' of the previous call (a byte offset, or an event number for source 'events'). Omit to start with the most recent output; 0 starts from the beginning.",
+            },
+            source: {
+              type: "string",
+              enum: TAIL_SOURCES,
+              description: "log = the task log (default), stdout / stderr = Codex's raw output only, events = the parsed event timeline",
+              default: "log",
+            },
+            grep: {
+              type: "string",
+              description: "Only return lines matching this regular expression (the cursor still moves past lines that don't match)",
+            },
+            ignoreCase: {
+              type: "boolean",
+              description: "Match grep case-insensitively",
+              default: false,
+            },
+            maxBytes: {
+              type: "number",
+              description: `Read at most about this many bytes per call (default ${TAIL_DEFAULT_BYTES})`,
+              default: TAIL_DEFAULT_BYTES,
+            },
+            waitMs: {
+              type: "number",
+              description: `Long-poll: if there is no new (matching) output yet, wait up to this long for some, or until the task finishes (max ${TAIL_MAX_WAIT_MS})`,
+              default: 0,
+            },
+          },
+          required: ["taskId"],
+        },
+      },
+      {
+        name: "codex_diff",
+        description:
+          "Show what a Codex task changed in its working directory, computed from git snapshots taken before and after the run. Returns the changed/added/deleted files with line stats, the patch for one file, or the full patch.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            taskId: {
+              type: "string",
+              description: "The task ID returned by codex_agent",
+            },
+            file: {
+              type: "string",
+              description: "Return the patch for this file only (path relative to the repo root)",
+            },
+            format: {
+              type: "string",
+              enum: ["stat", "patch"],
+              description: "stat = file list with line counts (default), patch = full unified diff",
+              default: "stat",
+            },
+          },
+          required: ["taskId"],
+        },
+      },
+      {
+        name: "codex_apply",
+        description:
+          "Bring the result of a worktree-isolated Codex task back into the original repository's current branch, by merge or cherry-pick. On conflict the operation is aborted and the conflicting files are reported.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            taskId: {
+              type: "string",
+              description: "The task ID of a task run with isolation: \"worktree\"",
+            },
+            mode: {
+              type: "string",
+              enum: ["merge", "cherry-pick"],
+              description: "merge = merge commit of the task branch (default), cherry-pick = replay the task's commits linearly",
+              default: "merge",
+            },
+            cleanup: {
+              type: "boolean",
+              description: "Remove the worktree and branch after a successful apply (default true)",
+              default: true,
+            },
+          },
+          required: ["taskId"],
+        },
+      },
+      {
+        name: "codex_discard",
+        description: "Remove the worktree and branch of a worktree-isolated Codex task without applying its changes.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            taskId: {
+              type: "string",
+              description: "The task ID of a task run with isolation: \"worktree\"",
+            },
+          },
+          required: ["taskId"],
+        },
+      },
+      {
+        name: "codex_pipeline",
+        description:
+          "Run a graph of dependent Codex steps (e.g. analyze → migrate → test). Steps start as soon as their dependencies complete, in parallel where the graph allows. A step can resume an earlier step's Codex session and reference earlier results in its prompt. If a step fails, steps depending on it are skipped.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Optional human-readable pipeline name",
+            },
+            workingDirectory: {
+              type: "string",
+              description: "Working directory for all steps unless overridden per step. REQUIRED.",
+            },
+            steps: {
+              type: "array",
+              description: "Pipeline steps",
+              items: {
+                type: "object",
+                properties: {
+                  id: {
+                    type: "string",
+                    description: "Unique step ID (letters, digits, - and _)",
+                  },
+                  task: {
+                    type: "string",
+                    description: "Prompt for this step. May reference earlier steps with {{steps.<id>.result}}, {{steps.<id>.sessionId}}, {{steps.<id>.taskId}}, {{steps.<id>.status}} or {{steps.<id>.changes}}",
+                  },
+                  dependsOn: {
+                    type: "array",
+                    items: { type: "string" },
+                    description: "Step IDs that must complete successfully before this step starts",
+                  },
+                  resumeFrom: {
+                    type: "string",
+                    description: "Continue the Codex session of this earlier step instead of starting fresh (implies dependsOn)",
+                  },
+                  workingDirectory: {
+                    type: "string",
+                    description: "Override the pipeline's working directory for this step",
+                  },
+                  profile: {
+                    type: "string",
+                    description: "Config profile for this step (see codex_agent)",
+                  },
+                  sandbox: {
+                    type: "string",
+                    enum: SANDBOX_MODES,
+                  },
+                  model: { type: "string" },
+                  reasoningEffort: {
+                    type: "string",
+                    enum: REASONING_EFFORTS,
+                  },
+                  isolation: {
+                    type: "string",
+                    enum: ISOLATION_MODES,
+                  },
+                  timeoutMs: { type: "number" },
+                },
+                required: ["id", "task"],
+              },
+            },
+            async: {
+              type: "boolean",
+              description: "If true, returns immediately with the pipeline ID. Use codex_pipeline_status to follow it.",
+              default: false,
+            },
+          },
+          required: ["workingDirectory", "steps"],
+        },
+      },
+      {
+        name: "codex_compare",
+        description:
+          "Run the same prompt against several model/reasoningEffort combinations, each in its own git worktree, and return a side-by-side report of duration, exit status, result and diff size. Use it to judge whether a more expensive setting is worth it.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            task: {
+              type: "string",
+              description: "The prompt every variant receives",
+            },
+            workingDirectory: {
+              type: "string",
+              description: "Git repository to run in. REQUIRED.",
+            },
+            variants: {
+              type: "array",
+              description: "At least two model/effort combinations to compare",
+              items: {
+                type: "object",
+                properties: {
+                  model: { type: "string" },
+                  reasoningEffort: {
+                    type: "string",
+                    enum: REASONING_EFFORTS,
+                  },
+                },
+              },
+            },
+            sandbox: {
+              type: "string",
+              enum: SANDBOX_MODES,
+              description: "Permission level for every variant",
+            },
+            timeoutMs: {
+              type: "number",
+              description: "Per-variant timeout in ms. 0 = no timeout (default).",
+            },
+            name: {
+              type: "string",
+              description: "Optional name for the comparison",
+            },
+            async: {
+              type: "boolean",
+              description: "If true, returns immediately; get the report with codex_pipeline_status.",
+              default: false,
+            },
+          },
+          required: ["task", "workingDirectory", "variants"],
+        },
+      },
+      {
+        name: "codex_pipeline_status",
+        description: "Show the status of a Codex pipeline and each of its steps, or list recent pipelines if no ID is given.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pipelineId: {
+              type: "string",
+              description: "The pipeline ID returned by codex_pipeline (omit to list pipelines)",
+            },
+            includeResults: {
+              type: "boolean",
+              description: "Include each finished step's full result (default false)",
+              default: false,
+            },
+          },
+        },
+      },
+      {
+        name: "codex_templates",
+        description:
+          "List the prompt templates codex_agent can run (built-in, from the user config and from the repo's config), or preview one rendered with variables.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            name: {
+              type: "string",
+              description: "Template to show and render; omit to list all templates",
+            },
+            variables: {
+              type: "object",
+              additionalProperties: { type: "string" },
+              description: "Values for the template's variables, for the preview",
+            },
+            workingDirectory: {
+              type: "string",
+              description: "Include the templates of this directory's repo config",
+            },
+          },
+        },
+      },
+      {
+        name: "codex_usage",
+        description:
+          "Report Codex token usage and estimated cost, grouped by day, model, working directory or pipeline. Costs come from a per-model price table (config 'pricing').",
+        inputSchema: {
+          type: "object",
+          properties: {
+            groupBy: {
+              type: "string",
+              enum: Object.keys(USAGE_GROUPS),
+              description: "How to group the totals (default: day)",
+              default: "day",
+            },
+            days: {
+              type: "number",
+              description: "Only tasks started in the last N days; 0 = all time (default: 30)",
+              default: 30,
+            },
+            model: {
+              type: "string",
+              description: "Only tasks on this model",
+            },
+            directory: {
+              type: "string",
+              description: "Only tasks whose working directory is this directory or inside it",
+            },
+          },
+        },
+      },
+      {
+        name: "codex_prune",
+        description: "Delete old task records together with their log, result, debug, events and diff files. Without arguments, applies the retention rules from the config file. Queued and running tasks, tasks with an unapplied worktree and tasks of running pipelines are never deleted.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            olderThanDays: {
+              type: "number",
+              description: "Delete tasks that finished more than this many days ago",
+            },
+            keep: {
+              type: "number",
+              description: "Keep only this many of the most recent matching tasks and delete the rest",
+            },
+            status: {
+              type: "array",
+              items: { type: "string", enum: FINISHED_STATUSES },
+              description: "Only consider tasks with these statuses (default: all finished tasks)",
+            },
+            taskIds: {
+              type: "array",
+              items: { type: "string" },
+              description: "Delete exactly these tasks instead of applying age or count rules",
+            },
+            dryRun: {
+              type: "boolean",
+              description: "List what would be deleted without deleting anything",
+              default: false,
+            },
+          },
+        },
+      },
+      {
+        name: "codex_pipeline_cancel",
+        description: "Cancel a Codex pipeline: stops its queued and running step tasks and skips steps that haven't started.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            pipelineId: {
+              type: "string",
+              description: "The pipeline ID to cancel",
+            },
+          },
+          required: ["pipelineId"],
+        },
+      },
+    ],
+  };
+});
+
+// Tool execution
+server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+  const { name, arguments: args } = request.params;
+
+  try {
+    // Pick up tasks other server instances started or updated
+    await refreshTasks();
+    switch (name) {
+      case "codex_agent":
+        return await handleCodexAgent(args, extra);
+      case "codex_status":
+        return await handleCodexStatus(args);
+      case "codex_tasks":
+        return await handleCodexTasks(args);
+      case "codex_cancel":
+        return await handleCodexCancel(args);
+      case "codex_wait":
+        return await handleCodexWait(args, extra);
+      case "codex_list_sessions":
+        return await handleCodexListSessions(args);
+      case "codex_session_show":
+        return await handleCodexSessionShow(args);
+      case "codex_events":
+        return await handleCodexEvents(args);
+      case "codex_tail":
+        return await handleCodexTail(args, extra);
+      case "codex_diff":
+        return await handleCodexDiff(args);
+      case "codex_apply":
+        return await handleCodexApply(args);
+      case "codex_discard":
+        return await handleCodexDiscard(args);
+      case "codex_pipeline":
+        return await handleCodexPipeline(args);
+      case "codex_compare":
+        return await handleCodexCompare(args);
+      case "codex_pipeline_status":
+        return await handleCodexPipelineStatus(args);
+      case "codex_pipeline_cancel":
+        return await handleCodexPipelineCancel(args);
+      case "codex_prune":
+        return await handleCodexPrune(args);
+      case "codex_usage":
+        return await handleCodexUsage(args);
+      case "codex_templates":
+        return await handleCodexTemplates(args);
+      default:
+        return {
+          content: [{ type: "text", text: `Unknown tool: ${name}` }],
+          isError: true,
+        };
+    }
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true,
+    };
+  }
+});
+
+// Resources: each task is codex://tasks/{id}, with its files under it, and
+// each Codex session is codex://sessions/{id}. Clients can read them into
+// context and subscribe instead of polling codex_status.
+const TASK_RESOURCE_FILES = [
+  { name: "log", mimeType: "text/plain", description: "Full task log", file: (t) => t.startedAt && t.logFile },
+  { name: "result", mimeType: "text/markdown", description: "Codex's final message", file: (t) => t.result != null && t.resultFile },
+  { name: "debug", mimeType: "application/json", description: "Debug data", file: (t) => t.startedAt && t.debugFile },
+  { name: "diff", mimeType: "text/x-diff", description: "Patch of what the task changed", file: (t) => t.diffFile },
+];
+
+// Most recent Codex sessions included in resources/list (any can be read)
+const SESSION_RESOURCE_LIMIT = 50;
+
+// URIs clients subscribed to
+const resourceSubscriptions = new Set();
+
+// Tasks changed since resource notifications were last sent
+const changedTaskIds = new Set();
+
+// Per task, the resource URIs last listed, to spot list changes
+const publishedResources = new Map();
+
+function listTaskResources(task) {
+  const label = task.task.split("\n")[0].slice(0, 60);
+  const resources = [{
+    uri: `codex://tasks/${task.id}`,
+    name: `Task ${task.id}`,
+    description: `${task.status}: ${label}`,
+    mimeType: "application/json",
+  }];
+  for (const spec of TASK_RESOURCE_FILES) {
+    if (!spec.file(task)) continue;
+    resources.push({
+      uri: `codex://tasks/${task.id}/${spec.name}`,
+      name: `Task ${task.id} ${spec.name}`,
+      description: `${spec.description}: ${label}`,
+      mimeType: spec.mimeType,
+    });
+  }
+  return resources;
+}
+
+// Announce what the last store sync changed: "update" task events for
+// waiters, and resource notifications for the client. The resource list
+// changes when tasks come and go, gain files or capture a session;
+// subscribers of a changed task's resources (or its session) get
+// resources/updated.
+async function publishTaskChanges() {
+  for (const id of changedTaskIds) taskEvents.emit("update", id);
+
+  let listChanged = false;
+  for (const [id, task] of tasks) {
+    const uris = listTaskResources(task).map((r) => r.uri).join(" ") + ` ${task.codexSessionId || ""}`;
+    if (publishedResources.get(id) === uris) continue;
+    publishedResources.set(id, uris);
+    listChanged = true;
+  }
+  for (const id of publishedResources.keys()) {
+    if (tasks.has(id)) continue;
+    publishedResources.delete(id);
+    listChanged = true;
+  }
+
+  const updated = new Set();
+  for (const id of changedTaskIds) {
+    const task = tasks.get(id);
+    const uris = [`codex://tasks/${id}`, ...TASK_RESOURCE_FILES.map((spec) => `codex://tasks/${id}/${spec.name}`)];
+    if (task?.codexSessionId) uris.push(`codex://sessions/${task.codexSessionId}`);
+    for (const uri of uris) {
+      if (resourceSubscriptions.has(uri)) updated.add(uri);
+    }
+  }
+  changedTaskIds.clear();
+
+  try {
+    if (listChanged) await server.sendResourceListChanged();
+    for (const uri of updated) await server.sendResourceUpdated({ uri });
+  } catch {
+    // Not connected yet, or the client went away
+  }
+}
+
+server.setRequestHandler(ListResourcesRequestSchema, async () => {
+  await refreshTasks();
+  const resources = [...tasks.values()]
+    .sort((a, b) => new Date(b.queuedAt) - new Date(a.queuedAt))
+    .flatMap(listTaskResources);
+
+  for (const session of (await refreshSessionIndex()).slice(0, SESSION_RESOURCE_LIMIT)) {
+    resources.push({
+      uri: `codex://sessions/${session.id}`,
+      name: `Codex session ${session.id.slice(0, 8)}`,
+      description: `${session.cwd || "(unknown directory)"}, started ${session.timestamp || "(unknown)"}`,
+      mimeType: "application/x-ndjson",
+    });
+  }
+  return { resources };
+});
+
+server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+  resourceTemplates: [
+    { uriTemplate: "codex://tasks/{taskId}", name: "Codex task", description: "Task record (status, diagnostics, attempts)", mimeType: "application/json" },
+    ...TASK_RESOURCE_FILES.map((spec) => ({
+      uriTemplate: `codex://tasks/{taskId}/${spec.name}`,
+      name: `Codex task ${spec.name}`,
+      description: spec.description,
+      mimeType: spec.mimeType,
+    })),
+    { uriTemplate: "codex://sessions/{sessionId}", name: "Codex session", description: "Session transcript (JSONL) from ~/.codex/sessions", mimeType: "application/x-ndjson" },
+  ],
+}));
+
+server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+  const { uri } = request.params;
+  const notFound = () => new McpError(ErrorCode.InvalidParams, `Resource ${uri} not found`);
+  await refreshTasks();
+
+  const taskMatch = /^codex:\/\/tasks\/([\w-]+)(?:\/(\w+))?$/.exec(uri);
+  if (taskMatch) {
+    const task = tasks.get(taskMatch[1]);
+    if (!task) throw notFound();
+    if (!taskMatch[2]) {
+      return { contents: [{ uri, mimeType: "application/json", text: JSON.stringify(task, null, 2) }] };
+    }
+    const spec = TASK_RESOURCE_FILES.find((s) => s.name === taskMatch[2]);
+    const file = spec && spec.file(task);
+    if (!file) throw notFound();
+    try {
+      return { contents: [{ uri, mimeType: spec.mimeType, text: await readFile(file, "utf-8") }] };
+    } catch {
+      throw notFound();
+    }
+  }
+
+  const sessionMatch = /^codex:\/\/sessions\/([\w-]+)$/.exec(uri);
+  if (sessionMatch) {
+    const path = await findSessionFile(sessionMatch[1]);
+    if (!path) throw notFound();
+    return { contents: [{ uri, mimeType: "application/x-ndjson", text: await readFile(path, "utf-8") }] };
+  }
+
+  throw notFound();
+});
+
+server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.add(request.params.uri);
+  return {};
+});
+
+server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+  resourceSubscriptions.delete(request.params.uri);
+  return {};
+});
+
+// Templates as MCP prompts, so clients can offer them directly (Claude Code
+// shows them as slash commands). Repo templates come from the directory the
+// server was started in. A prompt asks Claude to run the template with
+// codex_agent there.
+async function loadServerTemplates() {
+  const repoConfig = await loadRepoConfig(process.cwd()).catch((err) => {
+    console.error(`Templates: ${err.message}`);
+    return {};
+  });
+  return collectTemplates(repoConfig);
+}
+
+server.setRequestHandler(ListPromptsRequestSchema, async () => {
+  const templates = await loadServerTemplates();
+  return {
+    prompts: [...templates.values()].map((t) => ({
+      name: t.name,
+      description: t.description,
+      arguments: Object.entries(templateVariables(t)).map(([name, v]) => ({
+        name,
+        description: [v.description, v.default != null && `(default: ${v.default})`].filter(Boolean).join(" ") || undefined,
+        required: v.default == null,
+      })),
+    })),
+  };
+});
+
+server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+  const { name, arguments: given = {} } = request.params;
+  const templates = await loadServerTemplates();
+  // Clients send optional arguments the user skipped as empty strings
+  const values = Object.fromEntries(Object.entries(given).filter(([, value]) => value !== ""));
+  let prompt;
+  try {
+    prompt = renderTemplate(findTemplate(templates, name), values);
+  } catch (err) {
+    throw new McpError(ErrorCode.InvalidParams, err.message);
+  }
+  return {
+    description: templates.get(name).description,
+    messages: [
+      {
+        role: "user",
+        content: {
+          type: "text",
+          text: `Run this Codex task with codex_agent in ${process.cwd()}, using \`template: "${name}"\` and \`variables: ${JSON.stringify(values)}\`:\n\n${prompt}`,
+        },
+      },
+    ],
+  };
+});
+
+async function handleCodexAgent(args, extra) {
+  const asyncMode = args.async || false;
+  const { taskRecord, completion } = await createTask(args);
+  const taskId = taskRecord.id;
+  const logFile = taskRecord.logFile;
+
+  if (asyncMode) {
+    // Return immediately with task ID
+    const queued = taskRecord.status === "queued";
+    return {
+      content: [
+        {
+          type: "text",
+          text: `## Codex Task ${queued ? "Queued" : "Started"} (Async)\n\n` +
+            `**Task ID:** \`${taskId}\`\n` +
+            (queued
+              ? `**Status:** queued (position ${taskQueue.indexOf(taskId) + 1} of ${taskQueue.length}; ${countRunningTasks()} running)\n`
+              : `**Status:** running\n`) +
+            `**Session ID:** (will be available in status once captured)\n` +
+            `**Log file:** ${logFile}\n` +
+            (taskRecord.attachments ? `**Attachments:** ${summarizeAttachments(taskRecord.attachments)}\n` : "") +
+            `\n### Next Steps\n\n` +
+            `If user requested **monitoring subagent**, spawn one now:\n` +
+            `- Use Task tool with \`subagent_type: "general-purpose"\`, \`run_in_background: true\`\n` +
+            `- Prompt: "Call codex_wait with taskId='${taskId}' and report results when complete."\n\n` +
+            `If user requested **manual status checks**, inform them they can use:\n` +
+            `- \`codex_status\` to check progress\n` +
+            `- \`codex_cancel\` to stop the task\n\n` +
+            `> ${queued ? "The task starts automatically when a slot frees up. " : ""}Progress notifications will be sent every ${formatDuration(taskRecord.stallPolicy.heartbeatMs)} while the task runs.`,
+        },
+      ],
+    };
+  } else {
+    // Wait for completion, reporting progress, unless the call is cancelled
+    const stopProgress = trackRequestProgress(extra, [taskId]);
+    const result = await Promise.race([completion.promise, whenAborted(extra?.signal)]).finally(stopProgress);
+    if (!result) {
+      return await abandonTask(taskRecord, args.onAbort || "kill", "codex_agent");
+    }
+    return {
+      content: [
+        {
+          type: "text",
+          text: formatResult(taskId, taskRecord, result),
+        },
+      ],
+      ...(taskRecord.structuredOutput && { structuredContent: taskRecord.structuredOutput }),
+    };
+  }
+}
+
+// Build the codex command - use 'exec resume' if sessionId provided
+// A prompt of "-" makes Codex read it from stdin (see runTask).
+function buildCodexArgs({ sessionId, model, reasoningEffort, sandbox, resultFile, outputSchemaFile, images = [], prompt }) {
+  const schemaArgs = outputSchemaFile ? ["--output-schema", outputSchemaFile] : [];
+  // --image takes several values, so it must be followed by another flag
+  const imageArgs = images.flatMap((image) => ["--image", image]);
+  if (sessionId) {
+    // Resume an existing session
+    return [
+      "exec",
+      "resume",
+      sessionId,
+      "--full-auto",
+      "--model",
+      model,
+      "-c",
+      `reasoning_effort="${reasoningEffort}"`,
+      // exec resume has no --sandbox flag
+      "-c",
+      `sandbox_mode="${sandbox}"`,
+      ...schemaArgs,
+      ...imageArgs,
+      "--json",
+      "--output-last-message",
+      resultFile,
+      prompt,
+    ];
+  }
+  // New session
+  return [
+    "exec",
+    "--full-auto",
+    "--model",
+    model,
+    "-c",
+    `reasoning_effort="${reasoningEffort}"`,
+    "--sandbox",
+    sandbox,
+    ...schemaArgs,
+    ...imageArgs,
+    "--json",
+    "--output-last-message",
+    resultFile,
+    prompt,
+  ];
+}
+
+function formatCommand(codexArgs) {
+  return `${CODEX_PATH} ${codexArgs.map(a => a.includes(' ') ? `"${a}"` : a).join(' ')}`;
+}
+
+// Classes retried by default when a task opts into a retry policy
+const DEFAULT_RETRYABLE_CLASSES = ["rate_limit", "network", "stall"];
+
+// stderr / error-event patterns for failures that aren't the model's fault
+const FAILURE_PATTERNS = [
+  ["auth_error", /\b401\b|\b403\b|unauthori[sz]ed|invalid[_ ]api[_ ]key|incorrect api key|authentication|not logged in|please log ?in|login required/i],
+  ["rate_limit", /\b429\b|rate[_ -]?limit|too many requests|quota|usage limit/i],
+  ["network", /ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|network error|stream (disconnected|error)|connection (reset|refused|closed)|\b50[234]\b|bad gateway|service unavailable|gateway timeout/i],
+];
+
+// Classify why a task failed. `killReason` is set when the connector itself
+// stopped the process (timeout, stall, cancel) and `outputError` when the
+// final message failed its output schema; otherwise the exit code,
+// signal and the tail of stderr / error events decide.
+function classifyFailure({ code, signal, killReason, spawnError, outputError, diagnostics }) {
+  if (spawnError) return "spawn_error";
+  if (killReason) return killReason;
+  if (outputError) return "invalid_output";
+  if (code === 0 && !signal) return null;
+  for (const [failureClass, pattern] of FAILURE_PATTERNS) {
+    if (pattern.test(diagnostics || "")) return failureClass;
+  }
+  return "task_failure";
+}
+
+// Normalize a codex_agent retry policy, or null when retries are off
+function normalizeRetryPolicy(retry) {
+  if (!retry || !(retry.maxAttempts > 1)) return null;
+  return {
+    maxAttempts: Math.min(retry.maxAttempts, 10),
+    backoffMs: retry.backoffMs ?? 30000,
+    backoffMultiplier: retry.backoffMultiplier ?? 2,
+    maxBackoffMs: retry.maxBackoffMs ?? 600000,
+    retryOn: (retry.retryOn && retry.retryOn.length > 0 ? retry.retryOn : DEFAULT_RETRYABLE_CLASSES)
+      .filter((c) => !NON_RETRYABLE_CLASSES.includes(c)),
+  };
+}
+
+// Merge a codex_agent stall policy over the server defaults
+function normalizeStallPolicy(stall = {}) {
+  return {
+    heartbeatMs: Math.max(stall.heartbeatMs || HEARTBEAT_INTERVAL_MS, 1000),
+    thresholdMs: stall.thresholdMs || STALL_THRESHOLD_MS,
+    action: STALL_ACTIONS.includes(stall.action) ? stall.action : STALL_ACTION,
+    maxResumes: stall.maxResumes ?? STALL_MAX_RESUMES,
+  };
+}
+
+// Add one turn's token usage (from turn.completed) to the task's running
+// totals, which span all its attempts, and re-estimate its cost
+function addTaskUsage(taskRecord, usage) {
+  if (!taskRecord.usage) {
+    taskRecord.usage = { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, turns: 0 };
+  }
+  const total = taskRecord.usage;
+  total.inputTokens += usage.input_tokens || 0;
+  total.cachedInputTokens += usage.cached_input_tokens || 0;
+  total.outputTokens += usage.output_tokens || 0;
+  total.turns++;
+  taskRecord.costUsd = estimateCost(taskRecord.model, total);
+}
+
+// Estimated cost in USD, or null when the model has no price. Cached tokens
+// are part of the input tokens, billed at the cached rate.
+function estimateCost(model, usage) {
+  const price = PRICING[model];
+  if (!price) return null;
+  const cached = usage.cachedInputTokens;
+  return ((usage.inputTokens - cached) * price.input +
+    cached * (price.cachedInput ?? price.input) +
+    usage.outputTokens * price.output) / 1e6;
+}
+
+function formatTokens(count) {
+  return count.toLocaleString("en-US");
+}
+
+function formatCost(usd) {
+  return `$${usd < 1 ? usd.toFixed(4) : usd.toFixed(2)}`;
+}
+
+function formatUsage(taskRecord) {
+  const { inputTokens, cachedInputTokens, outputTokens } = taskRecord.usage;
+  const cost = taskRecord.costUsd != null ? `~${formatCost(taskRecord.costUsd)}` : `cost unknown (no price for ${taskRecord.model})`;
+  return `${formatTokens(inputTokens)} in (${formatTokens(cachedInputTokens)} cached), ${formatTokens(outputTokens)} out, ${cost}`;
+}
+
+// Rough token count for text seen in the stream (about 4 characters a token)
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+// Estimate the tokens of the turn in progress from the events it produced, so
+// budgets see a long turn before Codex reports its usage at the end. Model
+// text and commands count as output, command output as input. This undercounts:
+// the context re-read on each model call is invisible in the stream.
+function addTurnEstimate(taskRecord, event) {
+  let inputTokens = 0;
+  let outputTokens = 0;
+  if (event.type === "reasoning" || event.type === "agent_message") outputTokens = estimateTokens(event.text);
+  if (event.type === "command") {
+    outputTokens = estimateTokens(event.command);
+    inputTokens = estimateTokens(event.output);
+  }
+  if (inputTokens === 0 && outputTokens === 0) return false;
+  const estimate = taskRecord.turnEstimate || (taskRecord.turnEstimate = { inputTokens: 0, outputTokens: 0 });
+  estimate.inputTokens += inputTokens;
+  estimate.outputTokens += outputTokens;
+  return true;
+}
+
+// Fold the estimate of a turn that ended without reporting its usage (failed
+// or killed) into the task's usage, marked as partly estimated
+function settleTurnEstimate(taskRecord) {
+  const estimate = taskRecord.turnEstimate;
+  if (!estimate) return;
+  taskRecord.turnEstimate = null;
+  addTaskUsage(taskRecord, { input_tokens: estimate.inputTokens, output_tokens: estimate.outputTokens });
+  taskRecord.usage.turns--;
+  taskRecord.usage.estimated = true;
+}
+
+// A task's spend so far, including the estimate for the turn in progress.
+// Tokens are input plus output. A task on an unpriced model that used tokens
+// has no cost; it is counted in `unpriced` instead.
+function taskSpend(taskRecord) {
+  const usage = taskRecord.usage || { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0 };
+  const estimate = taskRecord.turnEstimate || { inputTokens: 0, outputTokens: 0 };
+  const total = {
+    inputTokens: usage.inputTokens + estimate.inputTokens,
+    cachedInputTokens: usage.cachedInputTokens,
+    outputTokens: usage.outputTokens + estimate.outputTokens,
+  };
+  const tokens = total.inputTokens + total.outputTokens;
+  const cost = estimateCost(taskRecord.model, total);
+  return { tokens, cost: cost ?? 0, unpriced: cost === null && tokens > 0 ? 1 : 0 };
+}
+
+// Spend of all tasks started in the current UTC day or month
+function periodSpend(period) {
+  const current = BUDGET_PERIODS[period].key(new Date().toISOString());
+  const spend = { tokens: 0, cost: 0, unpriced: 0 };
+  for (const t of tasks.values()) {
+    if (!t.startedAt || BUDGET_PERIODS[period].key(t.startedAt) !== current) continue;
+    const { tokens, cost, unpriced } = taskSpend(t);
+    spend.tokens += tokens;
+    spend.cost += cost;
+    spend.unpriced += unpriced;
+  }
+  return spend;
+}
+
+// Every budget that applies to a task, with what has been used of it: the
+// task's own maxTokens/maxCost, then the config's daily and monthly budgets
+// unless the task was started with ignoreBudget
+function listBudgets(taskRecord) {
+  const budgets = [];
+  const add = (scope, label, limits, spend) => {
+    if (limits?.maxTokens != null) budgets.push({ scope, label, metric: "tokens", used: spend.tokens, limit: limits.maxTokens });
+    if (limits?.maxCost != null) {
+      budgets.push({ scope, label, metric: "cost", used: spend.cost, limit: limits.maxCost, unpriced: spend.unpriced });
+    }
+  };
+  if (taskRecord?.budget) add("task", "Task", taskRecord.budget, taskSpend(taskRecord));
+  if (!taskRecord?.ignoreBudget) {
+    for (const [period, { label }] of Object.entries(BUDGET_PERIODS)) {
+      if (CONFIG.budget?.[period]) add(period, label, CONFIG.budget[period], periodSpend(period));
+    }
+  }
+  return budgets;
+}
+
+function describeBudget(budget) {
+  const percent = budget.limit > 0 ? ` (${Math.round((budget.used / budget.limit) * 100)}%)` : "";
+  if (budget.metric === "cost") {
+    const unpriced = budget.unpriced > 0 ? `, not counting ${budget.unpriced} task(s) on unpriced models` : "";
+    return `${budget.label} cost budget: ${formatCost(budget.used)} of ${formatCost(budget.limit)}${percent}${unpriced}`;
+  }
+  return `${budget.label} token budget: ${formatTokens(budget.used)} of ${formatTokens(budget.limit)} tokens${percent}`;
+}
+
+// The first global budget that is used up, or null
+function findExhaustedBudget() {
+  return listBudgets(null).find((b) => b.used >= b.limit) || null;
+}
+
+// Turn a deniedPaths glob into a regex: ** spans directories, * and ? don't
+function globToRegex(pattern) {
+  const source = (pattern.startsWith("~") ? expandHome(pattern) : pattern)
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+function isInside(path, root) {
+  const rel = relative(root, path);
+  return rel === "" || (!rel.startsWith("..") && !rel.startsWith("/"));
+}
+
+// The policy.deniedPaths entry that covers `path`, or null. Denying a
+// directory denies everything below it too.
+function findDeniedPattern(path) {
+  for (const [i, pattern] of (CONFIG.policy?.deniedPaths || []).entries()) {
+    const regex = globToRegex(pattern);
+    for (let dir = path; ; dir = resolvePath(dir, "..")) {
+      if (regex.test(dir)) return { rule: `policy.deniedPaths[${i}]`, pattern };
+      if (dir === "/") break;
+    }
+  }
+  return null;
+}
+
+// Sandbox the resumed session last ran with, if the connector ran it
+function findSessionSandbox(sessionId) {
+  let latest = null;
+  for (const t of tasks.values()) {
+    if (t.codexSessionId !== sessionId && t.resumedFromSession !== sessionId) continue;
+    if (!latest || new Date(t.queuedAt) > new Date(latest.queuedAt)) latest = t;
+  }
+  return latest?.sandbox || null;
+}
+
+// Check a task request against the config's "policy". Returns the decision
+// with the rule that made it; a sandbox that came from a default (rather
+// than the caller, a profile or repo config) is lowered to the allowed
+// maximum instead of being denied.
+async function evaluatePolicy({ workingDirectory, sandbox, sandboxExplicit, sessionId }) {
+  const policy = CONFIG.policy || {};
+  const path = await realpath(workingDirectory).catch(() => resolvePath(workingDirectory));
+  const decision = { path, sandbox };
+  const deny = (rule, reason) => ({ ...decision, allowed: false, rule, reason });
+
+  if (POLICY_ROOTS && !POLICY_ROOTS.some((root) => isInside(path, root))) {
+    return deny("policy.allowedRoots", `${path} is not inside an allowed root (${policy.allowedRoots.join(", ")})`);
+  }
+
+  const denied = findDeniedPattern(path);
+  if (denied) {
+    return deny(denied.rule, `${path} matches denied pattern "${denied.pattern}"`);
+  }
+
+  // The most specific directory rule wins over the global maximum
+  let limit = policy.maxSandbox ? { rule: "policy.maxSandbox", maxSandbox: policy.maxSandbox } : null;
+  let longest = -1;
+  for (const [i, entry] of POLICY_DIRECTORIES.entries()) {
+    if (isInside(path, entry.path) && entry.path.length > longest) {
+      longest = entry.path.length;
+      limit = { rule: `policy.directories[${i}]`, maxSandbox: entry.maxSandbox };
+    }
+  }
+
+  const limits = [];
+  if (limit) limits.push(limit);
+  if (sessionId && !policy.allowResumeEscalation) {
+    const sessionSandbox = findSessionSandbox(sessionId);
+    if (sessionSandbox) limits.push({ rule: "policy.allowResumeEscalation", maxSandbox: sessionSandbox, resume: true });
+  }
+
+  for (const { rule, maxSandbox, resume } of limits) {
+    if (SANDBOX_MODES.indexOf(decision.sandbox) <= SANDBOX_MODES.indexOf(maxSandbox)) continue;
+    if (!sandboxExplicit) {
+      decision.sandbox = maxSandbox;
+      decision.loweredBy = rule;
+      continue;
+    }
+    return deny(rule, resume
+      ? `Resuming session ${sessionId} with ${decision.sandbox} would escalate from ${maxSandbox}`
+      : `Sandbox ${decision.sandbox} exceeds the maximum ${maxSandbox} for ${path}`);
+  }
+
+  return { ...decision, allowed: true, rule: decision.loweredBy || (limit ? limit.rule : null) };
+}
+
+// Append a policy decision to the audit log
+async function writeAudit(entry) {
+  await appendFile(AUDIT_FILE, JSON.stringify({ time: new Date().toISOString(), ...entry }) + "\n")
+    .catch((err) => console.error(`Failed to write audit log: ${err.message}`));
+}
+
+// Read the repo's .codex-connector.json, if it has one
+async function loadRepoConfig(workingDirectory) {
+  const file = join(await resolveRepoKey(workingDirectory), REPO_CONFIG_NAME);
+  let text;
+  try {
+    text = await readFile(file, "utf-8");
+  } catch (err) {
+    if (err.code === "ENOENT") return {};
+    throw new Error(`Cannot read ${file}: ${err.message}`);
+  }
+  return parseConfigFile(file, text, REPO_CONFIG_SCHEMA);
+}
+
+// Layer a task's options: repo defaults, then the template's options, then
+// the named profile (the repo's profile over the user's), then the tool
+// arguments. Options none of them set fall back to the server defaults in
+// createTask. A template also supplies the task itself.
+async function resolveTaskOptions(args) {
+  const repoConfig = await loadRepoConfig(args.workingDirectory);
+  const layers = [repoConfig.defaults];
+  let task = args.task;
+  if (args.template) {
+    if (args.task) throw new Error("Pass either task or template, not both");
+    const template = findTemplate(collectTemplates(repoConfig), args.template);
+    task = renderTemplate(template, args.variables);
+    layers.push(templateOptions(template));
+  } else if (!task) {
+    throw new Error("Either task or template is required");
+  }
+  if (args.profile) {
+    const userProfile = CONFIG.profiles?.[args.profile];
+    const repoProfile = repoConfig.profiles?.[args.profile];
+    if (!userProfile && !repoProfile) {
+      const available = [...new Set([
+        ...Object.keys(CONFIG.profiles || {}),
+        ...Object.keys(repoConfig.profiles || {}),
+      ])];
+      throw new Error(`Unknown profile "${args.profile}". Available profiles: ${available.join(", ") || "(none configured)"}`);
+    }
+    layers.push(userProfile, repoProfile);
+  }
+  layers.push(args);
+
+  const options = {};
+  for (const layer of layers) {
+    for (const [key, value] of Object.entries(layer || {})) {
+      if (value === undefined || value === null || key === "description") continue;
+      // Nested policies merge key by key so a profile can tweak one field
+      options[key] = key === "retry" || key === "stall" ? { ...options[key], ...value } : value;
+    }
+  }
+  options.task = task;
+  return options;
+}
+// Prompt templates shipped with the server. User and repo config templates
+// of the same name replace them.
+const BUILTIN_TEMPLATES = {
+  "fix-tests": {
+    description: "Run the tests and fix what fails",
+    prompt: "Run {{scope}} with {{command}}. For each failure, find the cause and fix the code under test; only change a test when the test itself is wrong. Re-run until everything passes, then summarize what was broken and how you fixed it.",
+    variables: {
+      scope: { description: "Which tests to run", default: "the test suite" },
+      command: { description: "How to run them", default: "the project's usual test command" },
+    },
+  },
+  "add-types": {
+    description: "Add type annotations without changing behaviour",
+    prompt: "Add type annotations to {{target}}. Follow the project's existing type setup and conventions, prefer precise types over any, and don't change runtime behaviour. Run the type checker and fix what it reports for these files.",
+    variables: {
+      target: { description: "Files, directory or module to annotate" },
+    },
+  },
+  "security-review": {
+    description: "Read-only security review of a module",
+    prompt: "Review {{target}} for security problems: injection, unsafe input handling, authentication and authorization gaps, secrets in code, unsafe deserialization, path traversal and insecure defaults. Don't modify any files. Report each finding with its location, severity and a suggested fix.",
+    variables: {
+      target: { description: "Files, directory or module to review" },
+    },
+    sandbox: "read-only",
+    reasoningEffort: "high",
+  },
+};
+
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([\w-]+)\s*\}\}/g;
+
+// Every template visible from a repo: built-in, then the user's, then the
+// repo's, each replacing a template of the same name before it
+function collectTemplates(repoConfig) {
+  const templates = new Map();
+  const sources = [["built-in", BUILTIN_TEMPLATES], ["user", CONFIG.templates], ["repo", repoConfig?.templates]];
+  for (const [source, set] of sources) {
+    for (const [name, template] of Object.entries(set || {})) {
+      templates.set(name, { ...template, name, source });
+    }
+  }
+  return templates;
+}
+
+function findTemplate(templates, name) {
+  const template = templates.get(name);
+  if (!template) {
+    throw new Error(`Unknown template "${name}". Available templates: ${[...templates.keys()].join(", ") || "(none)"}`);
+  }
+  return template;
+}
+
+// A template's variables: the declared ones plus any other placeholder in
+// its prompt. Variables without a default are required.
+function templateVariables(template) {
+  const variables = { ...template.variables };
+  for (const [, name] of template.prompt.matchAll(TEMPLATE_VARIABLE_PATTERN)) {
+    if (!variables[name]) variables[name] = {};
+  }
+  return variables;
+}
+
+// Fill in a template's prompt. Throws on unknown or missing variables.
+function renderTemplate(template, values = {}) {
+  const variables = templateVariables(template);
+  const unknown = Object.keys(values).filter((name) => !variables[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown variable(s) for template "${template.name}": ${unknown.join(", ")}. ` +
+      `Expected: ${Object.keys(variables).join(", ") || "(none)"}`);
+  }
+  const missing = Object.keys(variables).filter((name) => values[name] == null && variables[name].default == null);
+  if (missing.length > 0) {
+    throw new Error(`Template "${template.name}" needs variable(s): ${missing.join(", ")}`);
+  }
+  return template.prompt.replace(TEMPLATE_VARIABLE_PATTERN, (_, name) => String(values[name] ?? variables[name].default));
+}
+
+// The task options a template sets (model, sandbox, ...)
+function templateOptions(template) {
+  const { name, source, description, prompt, variables, ...options } = template;
+  return options;
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Resolve a task's attachments against its working directory. Plain paths
+// may point outside it, but with policy.allowedRoots set only into an allowed
+// root, and never under policy.deniedPaths; globs match the files git sees
+// in the working directory (tracked and untracked, minus .gitignore).
+// Returns one entry per file plus the absolute image paths.
+async function resolveAttachments(workingDirectory, patterns) {
+  const paths = new Map();
+  for (const pattern of patterns) {
+    if (!/[*?[]/.test(pattern)) {
+      const path = /^~(?=$|\/)/.test(pattern) ? expandHome(pattern) : resolvePath(workingDirectory, pattern);
+      paths.set(path, pattern);
+      continue;
+    }
+    let listed;
+    try {
+      listed = await git(workingDirectory, ["ls-files", "-z", "--cached", "--others", "--exclude-standard", "--", `:(glob)${pattern}`]);
+    } catch (err) {
+      throw new Error(`Cannot expand attachment glob "${pattern}": ${(err.stderr || err.message).trim().split("\n")[0]}`);
+    }
+    const matches = [...new Set(listed.split("\0").filter(Boolean))];
+    if (matches.length === 0) {
+      throw new Error(`Attachment glob "${pattern}" matched no files in ${workingDirectory}`);
+    }
+    for (const match of matches) paths.set(resolvePath(workingDirectory, match), pattern);
+  }
+  if (paths.size > ATTACHMENT_LIMITS.maxFiles) {
+    throw new Error(`Too many attachments: ${paths.size} files (limit ${ATTACHMENT_LIMITS.maxFiles}). Narrow the globs.`);
+  }
+
+  const attachments = [];
+  const images = [];
+  let remaining = ATTACHMENT_LIMITS.maxTotalBytes;
+  const allowedRoots = CONFIG.policy?.allowedRoots;
+  const realWorkingDirectory = await realpath(workingDirectory).catch(() => resolvePath(workingDirectory));
+  for (const [path, pattern] of paths) {
+    const info = await stat(path).catch(() => null);
+    if (!info) throw new Error(`Attachment not found: ${path}`);
+    if (!info.isFile()) throw new Error(`Attachment is not a file: ${path}${info.isDirectory() ? ` (use a glob such as "${pattern}/**")` : ""}`);
+    // Judge where the file really is, so a symlink can't lead out of bounds
+    const real = await realpath(path);
+    if (allowedRoots && !isInside(real, realWorkingDirectory) && !POLICY_ROOTS.some((root) => isInside(real, root))) {
+      throw new Error(`Attachment ${path}${real !== path ? ` (${real})` : ""} is outside ${workingDirectory} and the allowed roots (policy.allowedRoots: ${allowedRoots.join(", ")})`);
+    }
+    const denied = findDeniedPattern(real);
+    if (denied) throw new Error(`Attachment ${path} is denied by ${denied.rule} ("${denied.pattern}")`);
+
+    const entry = {
+      path: isInside(path, workingDirectory) ? relative(workingDirectory, path) : path,
+      kind: IMAGE_EXTENSIONS.includes(extname(path).toLowerCase()) ? "image" : "file",
+      bytes: info.size,
+    };
+    if (entry.kind === "image") {
+      images.push(path);
+      attachments.push(entry);
+      continue;
+    }
+
+    const limit = Math.min(ATTACHMENT_LIMITS.maxFileBytes, remaining);
+    const head = await readRange(path, 0, Math.min(info.size, limit, 8192));
+    if (head.includes(0)) {
+      attachments.push({ ...entry, skipped: "binary file" });
+      continue;
+    }
+    if (limit <= 0 && info.size > 0) {
+      attachments.push({ ...entry, skipped: "total size limit reached" });
+      continue;
+    }
+    let content = await readRange(path, 0, Math.min(info.size, limit));
+    if (content.length < info.size) {
+      // Cut at a line boundary when there is one
+      const lastNewline = content.lastIndexOf(10);
+      if (lastNewline > 0) content = content.subarray(0, lastNewline + 1);
+    }
+    remaining -= content.length;
+    attachments.push({
+      ...entry,
+      includedBytes: content.length,
+      truncated: content.length < info.size,
+      content: content.toString("utf-8"),
+    });
+  }
+  return { attachments, images };
+}
+
+// A fence longer than any backtick run in `text`
+function fenceFor(text) {
+  return "`".repeat(Math.max(3, ...[...text.matchAll(/`+/g)].map((m) => m[0].length + 1)));
+}
+
+// The task prompt with the text attachments appended, each in a fence that
+// can hold it, plus a note on what was cut or left out
+function packAttachments(task, attachments) {
+  const files = attachments.filter((a) => a.content != null);
+  const omitted = attachments.filter((a) => a.truncated || a.skipped);
+  if (files.length === 0 && omitted.length === 0) return task;
+
+  let prompt = `${task}\n\n---\n\n## Attached files\n`;
+  for (const file of files) {
+    const fence = fenceFor(file.content);
+    prompt += `\n### ${file.path}${file.truncated ? ` (first ${formatBytes(file.includedBytes)} of ${formatBytes(file.bytes)})` : ""}\n\n`;
+    prompt += `${fence}\n${file.content}${file.content.endsWith("\n") || !file.content ? "" : "\n"}${fence}\n`;
+  }
+  if (omitted.length > 0) {
+    prompt += `\nSome attachments were cut short or left out. Read them from disk if you need them:\n`;
+    for (const a of omitted) prompt += `- ${a.path}: ${describeAttachment(a)}\n`;
+  }
+  return prompt;
+}
+
+// "1.2 KB", "1.1 MB, truncated to 64.0 KB", "image, 80.3 KB", ...
+function describeAttachment(a) {
+  if (a.kind === "image") return `image, ${formatBytes(a.bytes)}`;
+  if (a.skipped) return `${formatBytes(a.bytes)}, skipped: ${a.skipped}`;
+  if (a.truncated) return `${formatBytes(a.bytes)}, truncated to ${formatBytes(a.includedBytes)}`;
+  return formatBytes(a.bytes);
+}
+
+function summarizeAttachments(attachments) {
+  const files = attachments.filter((a) => a.kind === "file" && !a.skipped);
+  const images = attachments.filter((a) => a.kind === "image");
+  const parts = [];
+  if (files.length > 0) {
+    parts.push(`${files.length} file(s) in the prompt (${formatBytes(files.reduce((sum, a) => sum + a.includedBytes, 0))})`);
+  }
+  if (images.length > 0) parts.push(`${images.length} image(s)`);
+  const truncated = attachments.filter((a) => a.truncated).length;
+  const skipped = attachments.filter((a) => a.skipped).length;
+  if (truncated > 0) parts.push(`${truncated} truncated`);
+  if (skipped > 0) parts.push(`${skipped} skipped`);
+  return parts.join(", ");
+}
+
+// Create a task record and queue it. Shared by codex_agent and pipelines;
+// `extra` carries fields such as the owning pipeline.
+async function createTask(toolArgs, extra = {}) {
+  const args = await resolveTaskOptions(toolArgs);
+  const taskId = randomUUID().slice(0, 8);
+  const task = args.task;
+  const workingDirectory = args.workingDirectory;
+  const model = args.model || DEFAULT_MODEL;
+  const reasoningEffort = args.reasoningEffort || DEFAULT_REASONING_EFFORT;
+  const timeoutMs = args.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const sessionId = args.sessionId || null;
+  const isolation = args.isolation || DEFAULT_ISOLATION;
+  const priority = args.priority ?? DEFAULT_PRIORITY;
+
+  // A cost budget can't be enforced without a price for the model
+  if (!PRICING[model]) {
+    if (args.maxCost != null) {
+      throw new Error(`maxCost needs a price for model ${model}. Add the model under "pricing" in ${CONFIG_FILE}, or use maxTokens instead.`);
+    }
+    const period = args.ignoreBudget ? null : Object.keys(BUDGET_PERIODS).find((p) => CONFIG.budget?.[p]?.maxCost != null);
+    if (period) {
+      throw new Error(`The ${period} cost budget can't be applied to model ${model}, which has no price. ` +
+        `Add the model under "pricing" in ${CONFIG_FILE}, or pass ignoreBudget: true to run this task anyway.`);
+    }
+  }
+
+  // Refuse new work once a global budget is used up, unless overridden
+  if (!args.ignoreBudget) {
+    const exhausted = findExhaustedBudget();
+    if (exhausted) {
+      throw new Error(`${describeBudget(exhausted)} is used up. Pass ignoreBudget: true to run this task anyway.`);
+    }
+  }
+
+  // Policy check before anything is queued or spawned
+  const requestedSandbox = args.sandbox || DEFAULT_SANDBOX;
+  const decision = await evaluatePolicy({
+    workingDirectory,
+    sandbox: requestedSandbox,
+    sandboxExplicit: Boolean(args.sandbox),
+    sessionId,
+  });
+  await writeAudit({
+    decision: decision.allowed ? "allow" : "deny",
+    rule: decision.rule,
+    reason: decision.reason,
+    taskId: decision.allowed ? taskId : undefined,
+    workingDirectory,
+    path: decision.path,
+    requestedSandbox,
+    sandbox: decision.allowed ? decision.sandbox : undefined,
+    sessionId: sessionId || undefined,
+    profile: args.profile,
+    pipelineId: extra.pipelineId,
+  });
+  if (!decision.allowed) {
+    throw new Error(`Denied by ${decision.rule}: ${decision.reason}`);
+  }
+  const sandbox = decision.sandbox;
+
+  const logFile = join(LOGS_DIR, `${taskId}.log`);
+  const resultFile = join(LOGS_DIR, `${taskId}.result`);
+  const debugFile = join(LOGS_DIR, `${taskId}.debug.json`);
+  const eventsFile = join(LOGS_DIR, `${taskId}.events.jsonl`);
+
+  // Codex reads the output schema from a file
+  let outputSchemaFile = null;
+  if (args.outputSchema) {
+    compileOutputSchema(args.outputSchema);
+    outputSchemaFile = join(LOGS_DIR, `${taskId}.schema.json`);
+    await writeFile(outputSchemaFile, JSON.stringify(args.outputSchema, null, 2));
+  }
+
+  // Text attachments make the prompt too long for the command line, so it
+  // goes to a file Codex reads from stdin
+  let attachments = null;
+  let images = [];
+  let promptFile = null;
+  if (args.attachments?.length > 0) {
+    const resolved = await resolveAttachments(workingDirectory, args.attachments);
+    images = resolved.images;
+    const prompt = packAttachments(task, resolved.attachments);
+    if (prompt !== task) {
+      promptFile = join(LOGS_DIR, `${taskId}.prompt.md`);
+      await writeFile(promptFile, prompt);
+    }
+    attachments = resolved.attachments.map(({ content, ...attachment }) => attachment);
+  }
+
+  const codexArgs = buildCodexArgs({
+    sessionId, model, reasoningEffort, sandbox, resultFile, outputSchemaFile, images, prompt: promptFile ? "-" : task,
+  });
+  const fullCommand = formatCommand(codexArgs);
+
+  // Create task record with enhanced debugging info
+  const taskRecord = {
+    id: taskId,
+    task,
+    sandbox,
+    workingDirectory,
+    executionDirectory: workingDirectory,  // Where Codex actually runs (differs with worktree isolation)
+    isolation,
+    worktree: null,
+    model,
+    reasoningEffort,
+    status: "queued",
+    queuedAt: new Date().toISOString(),
+    startedAt: null,                // Set when the scheduler starts the task
+    priority,
+    repoKey: await resolveRepoKey(workingDirectory),
+    logFile,
+    resultFile,
+    debugFile,
+    eventsFile,
+    diffFile: null,                 // Set once the post-task diff is computed
+    // Structured output: the schema Codex's final message must match, the
+    // parsed message once it does, and how many times Codex may fix it
+    outputSchemaFile,
+    structuredOutput: null,
+    outputFixAttempts: outputSchemaFile ? args.outputFixAttempts ?? 0 : 0,
+    outputFixes: 0,
+    // What the task was given besides its prompt: one entry per attached
+    // file, the image paths, and the packed prompt when files were inlined
+    attachments,
+    images,
+    promptFile,
+    // Codex writes its output here; the server tails it from these offsets
+    stdoutFile: join(LOGS_DIR, `${taskId}.stdout`),
+    stderrFile: join(LOGS_DIR, `${taskId}.stderr`),
+    stdoutOffset: 0,
+    stderrOffset: 0,
+    lastTurnOutcome: null,
+    pid: null,
+    // Session tracking
+    resumedFromSession: sessionId,  // The session we're resuming (if any)
+    codexSessionId: null,           // Will be captured from JSONL output
+    // Debug info
+    command: fullCommand,
+    codexArgs,
+    codexPath: CODEX_PATH,
+    stdoutBytes: 0,
+    stderrBytes: 0,
+    lastActivityAt: null,
+    lastActivityType: null,
+    lastOutputSnippet: "",
+    heartbeatCount: 0,
+    timeoutMs,
+    // Event timeline summary (full timeline lives in eventsFile)
+    eventCount: 0,
+    eventCounts: {},
+    lastEventType: null,
+    // Token usage summed over all turns and attempts, and its estimated cost
+    usage: null,
+    costUsd: null,
+    turnEstimate: null,             // Estimated usage of the turn in progress
+    // Budgets: the task's own limits, whether the global ones apply, and the
+    // warnings sent so far
+    budget: args.maxTokens != null || args.maxCost != null
+      ? { maxTokens: args.maxTokens ?? null, maxCost: args.maxCost ?? null }
+      : null,
+    ignoreBudget: Boolean(args.ignoreBudget),
+    budgetWarnings: [],
+    filesTouched: [],
+    // Git change tracking
+    gitBefore: null,
+    gitAfter: null,
+    diffStats: null,
+    diffFiles: null,
+    gitError: null,
+    // Failure tracking
+    exitCode: null,
+    exitSignal: null,
+    failureReason: null,
+    failureClass: null,
+    killReason: null,               // Set when the connector stops the process itself
+    // Retry tracking
+    profile: args.profile || null,
+    template: args.template || null,
+    templateVariables: args.template ? args.variables || {} : null,
+    sandboxLoweredBy: decision.loweredBy || null,
+    owner: { instance: INSTANCE_ID, pid: process.pid },
+    retryPolicy: normalizeRetryPolicy({ ...DEFAULT_RETRY, ...args.retry }),
+    stallPolicy: normalizeStallPolicy(args.stall),
+    stalls: [],
+    notBefore: null,
+    attempt: 1,
+    attempts: [],
+    ...extra,
+  };
+  tasks.set(taskId, taskRecord);
+  const completion = createCompletion(taskId);
+  enqueueTask(taskRecord);
+  await saveTasks();
+  scheduleTasks();
+  return { taskRecord, completion };
+}
+
+// Set up a task the scheduler has started (isolation, snapshot) and spawn
+// Codex. Resolves with `exited`, the process's exit promise, for
+// superviseTask, or with `result` when the task ended before spawning.
+async function runTask(taskRecord) {
+  const {
+    id: taskId,
+    task,
+    sandbox,
+    workingDirectory,
+    model,
+    reasoningEffort,
+    timeoutMs,
+    isolation,
+    logFile,
+    debugFile,
+    codexArgs,
+    command: fullCommand,
+  } = taskRecord;
+
+  // Set up an isolated worktree. The record is saved in the "creating" state
+  // first so a crash mid-creation is cleaned up by initDirs.
+  if (isolation === "worktree" && taskRecord.worktree) {
+    // Retry attempt: keep working in the same worktree
+    taskRecord.worktree.state = "active";
+    taskRecord.worktree.updatedAt = new Date().toISOString();
+  } else if (isolation === "worktree") {
+    taskRecord.worktree = { state: "creating", path: join(WORKTREES_DIR, taskId), branch: `codex/${taskId}`, createdAt: new Date().toISOString() };
+    await saveTasks();
+    try {
+      const { cwd, ...worktree } = await createTaskWorktree(taskId, workingDirectory);
+      taskRecord.worktree = { ...taskRecord.worktree, ...worktree, state: "active", updatedAt: new Date().toISOString() };
+      taskRecord.executionDirectory = cwd;
+    } catch (err) {
+      const failureReason = `Worktree setup failed: ${err.message.split("\n")[0]}`;
+      taskRecord.worktree.state = "discarded";
+      taskRecord.status = "failed";
+      taskRecord.failureReason = failureReason;
+      taskRecord.failureClass = "spawn_error";
+      taskRecord.completedAt = new Date().toISOString();
+      taskRecord.duration = 0;
+      taskRecord.durationFormatted = formatDuration(0);
+      await saveTasks();
+      return {
+        result: {
+          status: "failed",
+          error: err.message,
+          failureReason,
+          failureClass: "spawn_error",
+          duration: 0,
+          durationFormatted: formatDuration(0),
+        },
+      };
+    }
+  }
+  await saveTasks();
+
+  // Write initial debug info
+  await writeFile(debugFile, JSON.stringify({
+    taskId,
+    command: fullCommand,
+    codexPath: CODEX_PATH,
+    workingDirectory,
+    executionDirectory: taskRecord.executionDirectory,
+    env: {
+      PATH: process.env.PATH,
+      HOME: process.env.HOME,
+      OPENAI_API_KEY: process.env.OPENAI_API_KEY ? "(set)" : "(not set)",
+    },
+    startedAt: taskRecord.startedAt,
+  }, null, 2));
+
+  // Enhanced logging header
+  await appendFile(logFile, `${"=".repeat(60)}\n`);
+  const attemptLabel = taskRecord.retryPolicy
+    ? ` (attempt ${taskRecord.attempt}/${taskRecord.retryPolicy.maxAttempts})`
+    : taskRecord.attempt > 1 ? ` (attempt ${taskRecord.attempt})` : "";
+  await appendFile(logFile, `[${new Date().toISOString()}] TASK STARTED${attemptLabel}\n`);
+  await appendFile(logFile, `${"=".repeat(60)}\n`);
+  await appendFile(logFile, `Task ID: ${taskId}\n`);
+  await appendFile(logFile, `Command: ${fullCommand}\n`);
+  await appendFile(logFile, `Working directory: ${workingDirectory}\n`);
+  if (taskRecord.worktree) {
+    await appendFile(logFile, `Isolation: worktree ${taskRecord.worktree.path} (branch ${taskRecord.worktree.branch})\n`);
+  }
   await appendFile(logFile, `Sandbox: ${sandbox}\n`);
   await appendFile(logFile, `Model: ${model}\n`);
   await appendFile(logFile, `Reasoning effort: ${reasoningEffort}\n`);
   await appendFile(logFile, `Timeout: ${timeoutMs > 0 ? `${timeoutMs}ms` : "none"}\n`);
+  if (taskRecord.attachments) {
+    await appendFile(logFile, `Attachments: ${summarizeAttachments(taskRecord.attachments)}\n` +
+      taskRecord.attachments.map((a) => `  ${a.path} (${describeAttachment(a)})\n`).join(""));
+    if (taskRecord.promptFile) await appendFile(logFile, `Prompt file: ${taskRecord.promptFile}\n`);
+  }
   await appendFile(logFile, `${"=".repeat(60)}\n\n`);
 
-  // Send initial progress notification
-  await sendProgress(taskId, "Codex task started", {
-    status: "running",
-    task: task.slice(0, 100),
-  });
+  // Snapshot the repo so we can diff what this task changed (once, so the
+  // diff covers every retry attempt)
+  if (!taskRecord.gitBefore && !taskRecord.gitError) {
+    try {
+      taskRecord.gitBefore = await captureGitSnapshot(taskRecord.executionDirectory, join(LOGS_DIR, `${taskId}.index`));
+      await appendFile(logFile, `[${new Date().toISOString()}] Git snapshot: HEAD=${taskRecord.gitBefore.head || "(none)"} tree=${taskRecord.gitBefore.tree}\n`);
+    } catch (err) {
+      taskRecord.gitError = `Snapshot failed: ${err.message.split("\n")[0]}`;
+      await appendFile(logFile, `[${new Date().toISOString()}] WARNING: ${taskRecord.gitError}\n`);
+    }
+  }
+
+  // Send initial progress notification
+  await sendProgress(taskId, "Codex task started", {
+    status: "running",
+    task: task.slice(0, 100),
+  });
+
+  // Cancelled while setting up
+  if (taskRecord.cancelRequested) {
+    const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
+    await appendFile(logFile, `[${new Date().toISOString()}] CANCELLED before spawn: ${taskRecord.cancelRequested}\n`);
+    if (taskRecord.worktree) {
+      taskRecord.worktree.state = "ready";
+      taskRecord.worktree.updatedAt = new Date().toISOString();
+    }
+    taskRecord.status = "failed";
+    taskRecord.failureReason = taskRecord.cancelRequested;
+    taskRecord.failureClass = "cancelled";
+    taskRecord.completedAt = new Date().toISOString();
+    taskRecord.duration = elapsed;
+    taskRecord.durationFormatted = formatDuration(elapsed);
+    await saveTasks();
+    return {
+      result: {
+        status: "failed",
+        failureReason: taskRecord.failureReason,
+        failureClass: "cancelled",
+        duration: elapsed,
+        durationFormatted: formatDuration(elapsed),
+      },
+    };
+  }
+
+  // Codex runs detached with its output going to files rather than pipes, so
+  // it outlives a server restart and a new server can pick the output up
+  const stdinFd = codexArgs[codexArgs.length - 1] === "-" ? openSync(taskRecord.promptFile, "r") : null;
+  const stdoutFd = openSync(taskRecord.stdoutFile, "w");
+  const stderrFd = openSync(taskRecord.stderrFile, "w");
+  let codex;
+  try {
+    codex = spawn(CODEX_PATH, codexArgs, {
+      cwd: taskRecord.executionDirectory,
+      stdio: [stdinFd ?? "ignore", stdoutFd, stderrFd],
+      env: { ...process.env },
+      detached: true,
+    });
+  } finally {
+    if (stdinFd !== null) closeSync(stdinFd);
+    closeSync(stdoutFd);
+    closeSync(stderrFd);
+  }
+  codex.unref();
+
+  // Listen before any await: a failed spawn (say ENOENT) emits "error" on the
+  // next tick, and a quick process may exit before supervision starts
+  const exited = new Promise((resolve) => {
+    codex.once("exit", (code, signal) => resolve({ code, signal }));
+    codex.on("error", (error) => resolve({ error }));
+  });
+  taskRecord.stdoutOffset = 0;
+  taskRecord.stderrOffset = 0;
+  taskRecord.lastTurnOutcome = null;
+
+  // No pid means the spawn failed; the error is on its way
+  if (codex.pid === undefined) return { exited };
+
+  // Register before any await so codex_cancel sees the process from now on
+  taskRecord.pid = codex.pid;
+  activeProcesses.set(taskId, codex.pid);
+  // Codex is running now, so nothing past this point may fail the setup
+  await appendFile(logFile, `[${new Date().toISOString()}] Process spawned with PID ${codex.pid}\n\n`).catch(() => {});
+  await saveTasks().catch((err) => console.error(`Failed to save task ${taskId}: ${err.message}`));
+
+  return { exited };
+}
+
+// Take over a running task whose Codex process outlived the server that
+// started it, and resolve once that process exits
+async function adoptTask(taskRecord) {
+  const completion = createCompletion(taskRecord.id);
+  // Nothing awaits this function; its log may be gone (codex_prune)
+  await appendFile(taskRecord.logFile, `\n[${new Date().toISOString()}] Re-adopted running process ${taskRecord.pid} (server pid ${process.pid})\n`).catch(() => {});
+  await sendProgress(taskRecord.id, "Re-adopted running Codex task after server restart", {
+    status: "running",
+    pid: taskRecord.pid,
+  });
+
+  superviseTask(taskRecord, null)
+    .then((result) => finishAttempt(taskRecord, result))
+    .catch((err) => abortTask(taskRecord, err));
+  if (taskRecord.pipelineId) {
+    resumePipelineStep(taskRecord, completion)
+      .catch((err) => console.error(`Failed to resume pipeline ${taskRecord.pipelineId}: ${err.message}`));
+  }
+}
+
+// Whether `pid` is still the Codex process of this task. Its command line
+// names the task's result file, which guards against a recycled PID.
+async function isTaskProcess(taskRecord) {
+  if (!taskRecord.pid || !isProcessAlive(taskRecord.pid)) return false;
+  let command = "";
+  try {
+    command = (await readFile(`/proc/${taskRecord.pid}/cmdline`, "utf-8")).replace(/\0/g, " ");
+  } catch {
+    try {
+      ({ stdout: command } = await execFileAsync("ps", ["-o", "command=", "-p", String(taskRecord.pid)]));
+    } catch {
+      return false;
+    }
+  }
+  return command.includes(taskRecord.resultFile);
+}
+
+// Send a signal to a Codex process and everything it started. Codex is
+// spawned detached, so it leads its own process group; signalling the group
+// reaches shells, test runners and dev servers it started, even after Codex
+// itself has exited. Returns false if nothing in the group was left.
+function signalProcessTree(pid, signal) {
+  if (!pid) return false;
+  try {
+    process.kill(-pid, signal);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// SIGTERM a task's process tree, then SIGKILL whatever is left of it after
+// `graceMs`. Calls `onKill` if the SIGKILL found anything.
+function terminateTask(taskRecord, graceMs = 5000, onKill = null) {
+  const pid = taskRecord.pid;
+  signalProcessTree(pid, "SIGTERM");
+  setTimeout(() => {
+    if (signalProcessTree(pid, "SIGKILL") && onKill) onKill();
+  }, graceMs);
+}
+
+// Follow a spawned Codex process, whose `exited` promise resolves with its
+// exit status or spawn error, or a re-adopted one (`exited` is null): tail
+// its output files into the log and event timeline, run heartbeats, stall
+// detection and the timeout, and finish the task once it exits.
+async function superviseTask(taskRecord, exited) {
+  const {
+    id: taskId,
+    task,
+    timeoutMs,
+    logFile,
+    resultFile,
+    debugFile,
+    eventsFile,
+  } = taskRecord;
+  const diffFile = join(LOGS_DIR, `${taskId}.diff`);
+  // Already registered by runTask for a spawned process; needed when adopting
+  if (taskRecord.pid) activeProcesses.set(taskId, taskRecord.pid);
+
+  const logStream = createWriteStream(logFile, { flags: "a" });
+
+  // Recent stderr and stream error messages, used to classify failures
+  let diagnostics = "";
+  const addDiagnostics = (text) => {
+    diagnostics = (diagnostics + text).slice(-8000);
+  };
+  const eventsStream = createWriteStream(eventsFile, { flags: "a" });
+
+  const updateActivity = (type, bytes = 0, snippet = "") => {
+    taskRecord.lastActivityAt = new Date().toISOString();
+    taskRecord.lastActivityType = type;
+    if (type === "stdout") taskRecord.stdoutBytes += bytes;
+    if (type === "stderr") taskRecord.stderrBytes += bytes;
+    if (snippet) {
+      // Keep last meaningful output snippet for progress updates
+      const cleaned = snippet.toString().trim().slice(-200);
+      if (cleaned.length > 10) {
+        taskRecord.lastOutputSnippet = cleaned;
+      }
+    }
+  };
+
+  // Unsaved output progress, and whether it includes a change worth saving
+  // before OUTPUT_SAVE_MS is up
+  let unsaved = false;
+  let saveNow = false;
+  let lastSavedAt = Date.now();
+
+  // Record one parsed JSONL event in the task's timeline
+  const recordEvent = (json) => {
+    const event = normalizeCodexEvent(json);
+    if (!event) return;
+
+    if (event.type === "session" && !taskRecord.codexSessionId) {
+      taskRecord.codexSessionId = event.sessionId;
+      saveNow = true;
+    }
+    if (event.type === "error") {
+      addDiagnostics(`\n${event.message}`);
+    }
+    if (event.type === "file_change") {
+      for (const change of event.changes) {
+        if (!taskRecord.filesTouched.includes(change.path)) {
+          taskRecord.filesTouched.push(change.path);
+        }
+      }
+    }
+    // How the last turn ended; the only outcome we have for a re-adopted process
+    let spent = false;
+    if (event.type === "turn" && event.phase === "started") settleTurnEstimate(taskRecord);
+    if (event.type === "turn" && event.phase === "completed") {
+      taskRecord.lastTurnOutcome = "completed";
+      saveNow = true;
+      // The reported usage replaces our estimate for the turn
+      taskRecord.turnEstimate = null;
+      if (event.usage) {
+        addTaskUsage(taskRecord, event.usage);
+        spent = true;
+      }
+    } else {
+      spent = addTurnEstimate(taskRecord, event);
+    }
+    if (event.type === "error" && event.source === "turn") {
+      taskRecord.lastTurnOutcome = "failed";
+      saveNow = true;
+    }
+
+    taskRecord.eventCount++;
+    taskRecord.lastEventType = event.type;
+    taskRecord.eventCounts[event.type] = (taskRecord.eventCounts[event.type] || 0) + 1;
+    eventsStream.write(JSON.stringify({
+      seq: taskRecord.eventCount,
+      timestamp: new Date().toISOString(),
+      ...event,
+    }) + "\n");
+
+    if (spent) enforceBudgets();
+  };
+
+  // Warn at each configured fraction of a budget, and stop the task once it
+  // goes over one. Global warnings go out once per period, whichever task
+  // crosses the line.
+  const enforceBudgets = () => {
+    if (taskRecord.killReason) return;
+    for (const budget of listBudgets(taskRecord)) {
+      if (budget.used > budget.limit) {
+        const description = describeBudget(budget);
+        taskRecord.killReason = "budget_exceeded";
+        taskRecord.failureReason = `Budget exceeded: ${description}`;
+        saveNow = true;
+        logStream.write(`\n[${new Date().toISOString()}] BUDGET EXCEEDED: ${description}, killing process\n`);
+        sendProgress(taskId, `Budget exceeded - killing process`, {
+          status: "budget_exceeded",
+          budget: description,
+        });
+        terminateTask(taskRecord);
+        return;
+      }
+      for (const fraction of BUDGET_WARN_AT) {
+        if (budget.used < budget.limit * fraction) break;
+        const key = budget.scope === "task"
+          ? `task:${budget.metric}:${fraction}`
+          : `${budget.scope}:${BUDGET_PERIODS[budget.scope].key(new Date().toISOString())}:${budget.metric}:${fraction}`;
+        if (budget.scope === "task" ? taskRecord.budgetWarnings.some((w) => w.key === key) : budgetWarningsSent.has(key)) continue;
+        if (budget.scope !== "task") budgetWarningsSent.add(key);
+        const description = describeBudget(budget);
+        taskRecord.budgetWarnings.push({ key, at: new Date().toISOString(), message: description });
+        logStream.write(`\n[${new Date().toISOString()}] BUDGET WARNING: ${description}\n`);
+        sendProgress(taskId, `Budget warning: ${description}`, {
+          status: "budget_warning",
+          budget: description,
+        });
+      }
+    }
+  };
+
+  // Read whatever Codex wrote since the last call. Offsets live on the task
+  // record so a server that re-adopts the task carries on where this one
+  // stopped. Stdout is consumed in whole lines unless `final` is set.
+  const readNewOutput = async (final = false) => {
+    let consumed = false;
+
+    const stdout = await readFrom(taskRecord.stdoutFile, taskRecord.stdoutOffset);
+    const end = final ? stdout.length : stdout.lastIndexOf(0x0a) + 1;
+    if (end > 0) {
+      const data = stdout.subarray(0, end);
+      taskRecord.stdoutOffset += end;
+      logStream.write(data);
+      updateActivity("stdout", data.length, data);
+      for (const line of data.toString().split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          recordEvent(JSON.parse(line));
+        } catch {
+          // Not a JSON event (plain output)
+        }
+      }
+      consumed = true;
+    }
+
+    const stderr = await readFrom(taskRecord.stderrFile, taskRecord.stderrOffset);
+    if (stderr.length > 0) {
+      taskRecord.stderrOffset += stderr.length;
+      logStream.write(`[stderr] ${stderr}`);
+      addDiagnostics(stderr.toString());
+      updateActivity("stderr", stderr.length, stderr);
+      consumed = true;
+    }
+
+    return consumed;
+  };
+
+  let finish;
+  const completionPromise = new Promise((resolve) => {
+    finish = resolve;
+  });
+
+  // Poll the output files. A re-adopted process isn't our child, so its exit
+  // is noticed here too.
+  let reading = Promise.resolve();
+  const outputInterval = setInterval(() => {
+    reading = reading.then(async () => {
+      if (taskRecord.status !== "running") return;
+      if (await readNewOutput()) unsaved = true;
+      if (unsaved && (saveNow || Date.now() - lastSavedAt >= OUTPUT_SAVE_MS)) {
+        unsaved = false;
+        saveNow = false;
+        lastSavedAt = Date.now();
+        await saveTasks();
+      }
+      if (!exited && !isProcessAlive(taskRecord.pid)) finish({ code: null, signal: null });
+    }).catch(() => {});
+  }, OUTPUT_POLL_MS);
+
+  // Heartbeat logging for long-running tasks - sends progress to Claude.
+  // Stall detection runs on the same tick.
+  const { heartbeatMs, thresholdMs, action: stallAction } = taskRecord.stallPolicy;
+  let stallDetectedAt = null;
+  const heartbeatInterval = setInterval(async () => {
+    if (taskRecord.status !== "running") {
+      clearInterval(heartbeatInterval);
+      return;
+    }
+
+    // Nothing awaits this callback, so a failed log write or save (say a
+    // store lock timeout) is logged here; the next heartbeat tries again
+    try {
+      taskRecord.heartbeatCount++;
+      const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
+      const lastActivity = Date.now() - new Date(taskRecord.lastActivityAt).getTime();
+
+      const heartbeatMsg = `[${new Date().toISOString()}] HEARTBEAT #${taskRecord.heartbeatCount}: ` +
+        `elapsed=${formatDuration(elapsed)}, ` +
+        `lastActivity=${formatDuration(lastActivity)} ago (${taskRecord.lastActivityType}), ` +
+        `stdout=${taskRecord.stdoutBytes}B, stderr=${taskRecord.stderrBytes}B\n`;
+
+      await appendFile(logFile, heartbeatMsg);
+
+      // Send progress notification to Claude
+      await sendProgress(taskId, `Task still running (${formatDuration(elapsed)} elapsed)`, {
+        status: "running",
+        elapsed: formatDuration(elapsed),
+        heartbeat: taskRecord.heartbeatCount,
+        stdoutBytes: taskRecord.stdoutBytes,
+        stderrBytes: taskRecord.stderrBytes,
+        lastActivity: `${formatDuration(lastActivity)} ago`,
+        lastActivityType: taskRecord.lastActivityType,
+        recentOutput: taskRecord.lastOutputSnippet.slice(-100),
+      });
+
+      if (lastActivity > thresholdMs && !taskRecord.killReason) {
+        // Record each quiet period once, even if it spans several heartbeats
+        if (stallDetectedAt !== taskRecord.lastActivityAt) {
+          stallDetectedAt = taskRecord.lastActivityAt;
+          taskRecord.stalls.push({
+            detectedAt: new Date().toISOString(),
+            idleMs: lastActivity,
+            action: stallAction,
+            outcome: stallAction === "warn" ? "warned" : "killed",
+          });
+        }
+
+        if (stallAction === "warn") {
+          await appendFile(logFile, `[${new Date().toISOString()}] WARNING: No activity for ${formatDuration(lastActivity)}\n`);
+          await sendProgress(taskId, `Warning: No activity for ${formatDuration(lastActivity)}`, {
+            status: "possibly_stalled",
+            elapsed: formatDuration(elapsed),
+            lastActivity: formatDuration(lastActivity),
+            stallAction,
+          });
+        } else {
+          taskRecord.killReason = "stall";
+          taskRecord.failureReason = `Stalled: no activity for ${formatDuration(lastActivity)} (threshold: ${formatDuration(thresholdMs)})`;
+          await appendFile(logFile, `[${new Date().toISOString()}] STALL: No activity for ${formatDuration(lastActivity)}, killing process (action: ${stallAction})\n`).catch(() => {});
+          await sendProgress(taskId, `Task stalled - killing process`, {
+            status: "stalled",
+            elapsed: formatDuration(elapsed),
+            lastActivity: formatDuration(lastActivity),
+            stallAction,
+            stallOutcome: "killed",
+          });
+          terminateTask(taskRecord);
+        }
+      }
+
+      await saveTasks();
+    } catch (err) {
+      console.error(`Heartbeat for task ${taskId} failed: ${err.message}`);
+    }
+  }, heartbeatMs);
+
+  // Set up timeout if specified. A re-adopted task gets what's left of it.
+  let timeout = null;
+  if (timeoutMs > 0) {
+    const remaining = timeoutMs - (Date.now() - new Date(taskRecord.startedAt).getTime());
+    timeout = setTimeout(async () => {
+      const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
+      taskRecord.killReason = "timeout";
+      taskRecord.failureReason = `Timeout after ${formatDuration(elapsed)} (limit: ${formatDuration(timeoutMs)})`;
+
+      await appendFile(logFile, `\n${"!".repeat(60)}\n` +
+        `[${new Date().toISOString()}] TIMEOUT: Killing process after ${formatDuration(timeoutMs)}\n` +
+        `${"!".repeat(60)}\n`).catch(() => {});
+
+      await sendProgress(taskId, `Task timeout - killing process`, {
+        status: "timeout",
+        elapsed: formatDuration(elapsed),
+        limit: formatDuration(timeoutMs),
+      });
+
+      terminateTask(taskRecord);
+    }, Math.max(remaining, 0));
+  }
+
+  if (exited) exited.then(finish);
+
+  // Stop supervising without finishing the task: catch up on the output
+  // (all of it once the process is gone) and close the streams
+  taskSupervisors.set(taskId, async (gone) => {
+    clearInterval(outputInterval);
+    clearInterval(heartbeatInterval);
+    if (timeout) clearTimeout(timeout);
+    await reading;
+    await readNewOutput(gone).catch(() => {});
+    await Promise.all([logStream, eventsStream].map((stream) => new Promise((r) => stream.end(r))));
+  });
+
+  const { code, signal, error: err } = await completionPromise;
+  // During shutdown the shutdown routine writes the final record
+  if (shuttingDown) return new Promise(() => {});
+  taskSupervisors.delete(taskId);
+  clearInterval(outputInterval);
+  clearInterval(heartbeatInterval);
+  if (timeout) clearTimeout(timeout);
+  activeProcesses.delete(taskId);
+
+  const endTime = new Date().toISOString();
+  const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
+
+  // The outcome stands even if saving it fails (say the store lock timed
+  // out); the next save of any task writes it
+  const saveFinalRecord = () =>
+    saveTasks().catch((saveErr) => console.error(`Failed to save task ${taskId}: ${saveErr.message}`));
+
+  if (err) {
+    const failureReason = `Process error: ${err.message} (${err.code || "unknown"})`;
+
+    await appendFile(logFile, `\n${"!".repeat(60)}\n`);
+    await appendFile(logFile, `[${endTime}] PROCESS ERROR\n`);
+    await appendFile(logFile, `${"!".repeat(60)}\n`);
+    await appendFile(logFile, `Error: ${err.message}\n`);
+    await appendFile(logFile, `Code: ${err.code || "unknown"}\n`);
+    await appendFile(logFile, `Failure class: spawn_error\n`);
+    await appendFile(logFile, `Duration: ${formatDuration(elapsed)}\n`);
+    await appendFile(logFile, `${"!".repeat(60)}\n`);
+
+    logStream.end();
+    eventsStream.end();
+
+    // Send error notification
+    await sendProgress(taskId, `Task error: ${err.message}`, {
+      status: "failed",
+      error: err.message,
+      errorCode: err.code,
+      failureClass: "spawn_error",
+      duration: formatDuration(elapsed),
+    });
+
+    if (taskRecord.worktree) {
+      taskRecord.worktree.state = "ready";
+      taskRecord.worktree.updatedAt = new Date().toISOString();
+    }
+
+    taskRecord.status = "failed";
+    taskRecord.error = err.message;
+    taskRecord.failureReason = failureReason;
+    taskRecord.failureClass = "spawn_error";
+    taskRecord.completedAt = endTime;
+    taskRecord.duration = elapsed;
+    taskRecord.durationFormatted = formatDuration(elapsed);
+    taskRecord.pid = null;
+
+    await writeFile(debugFile, JSON.stringify(taskRecord, null, 2));
+    await saveFinalRecord();
+
+    return {
+      status: "failed",
+      error: err.message,
+      failureReason,
+      failureClass: "spawn_error",
+      duration: elapsed,
+      durationFormatted: formatDuration(elapsed),
+    };
+  }
+
+  // Drain output written after the last poll, including a trailing event
+  // that arrived without a newline
+  await reading;
+  await readNewOutput(true).catch(() => {});
+  // A turn cut short never reports its usage; keep our estimate of it
+  settleTurnEstimate(taskRecord);
+  logStream.end();
+  eventsStream.end();
+
+  // Read result file
+  let result = null;
+  try {
+    result = await readFile(resultFile, "utf-8");
+  } catch {}
+
+  // A re-adopted process isn't our child, so its exit status is unknown. It
+  // succeeded if its last turn completed and it wrote a result.
+  let succeeded = exited ? code === 0 : taskRecord.lastTurnOutcome === "completed" && result !== null;
+
+  // A final message that doesn't match the output schema fails the task
+  let outputError = null;
+  if (succeeded && taskRecord.outputSchemaFile) {
+    const checked = await checkStructuredOutput(taskRecord.outputSchemaFile, result);
+    if (checked.valid) {
+      taskRecord.structuredOutput = checked.data;
+    } else {
+      outputError = checked.error;
+      succeeded = false;
+    }
+  }
+
+  // A task that finished on its own before our kill landed (say its last
+  // turn went over budget as it ended) still succeeded
+  if (succeeded && taskRecord.killReason) {
+    await appendFile(logFile, `[${endTime}] Finished before it could be stopped (${taskRecord.failureReason})\n`);
+    taskRecord.killReason = null;
+    taskRecord.failureReason = null;
+  }
+
+  // Determine failure reason
+  let failureReason = taskRecord.failureReason; // May already be set by timeout
+  const signalName = signal || getSignalName(code);
+  if (outputError) failureReason = outputError;
+
+  if (!failureReason && !succeeded) {
+    if (!exited) {
+      failureReason = "Re-adopted process exited without completing its turn";
+    } else if (signal) {
+      failureReason = `Killed by signal: ${signal}`;
+    } else if (signalName) {
+      failureReason = `Killed by ${signalName} (exit code ${code})`;
+    } else {
+      failureReason = `Exited with code ${code}`;
+    }
+  }
+  const failureClass = classifyFailure({
+    code: succeeded ? 0 : code,
+    signal,
+    killReason: taskRecord.killReason,
+    outputError,
+    diagnostics,
+  });
+
+  // Write detailed exit info
+  await appendFile(logFile, `\n${"=".repeat(60)}\n`);
+  await appendFile(logFile, `[${endTime}] TASK ${succeeded ? "COMPLETED" : "FAILED"}\n`);
+  await appendFile(logFile, `${"=".repeat(60)}\n`);
+  await appendFile(logFile, `Exit code: ${exited ? code : "unknown (re-adopted process)"}\n`);
+  await appendFile(logFile, `Exit signal: ${signal || signalName || "none"}\n`);
+  await appendFile(logFile, `Duration: ${formatDuration(elapsed)}\n`);
+  await appendFile(logFile, `Total stdout: ${taskRecord.stdoutBytes} bytes\n`);
+  await appendFile(logFile, `Total stderr: ${taskRecord.stderrBytes} bytes\n`);
+  await appendFile(logFile, `Heartbeats: ${taskRecord.heartbeatCount}\n`);
+  if (failureReason) {
+    await appendFile(logFile, `Failure reason: ${failureReason}\n`);
+  }
+  if (failureClass) {
+    await appendFile(logFile, `Failure class: ${failureClass}\n`);
+  }
+  await appendFile(logFile, `${"=".repeat(60)}\n`);
+  await appendFile(logFile, result !== null ? `\nResult file found (${result.length} bytes)\n` : `\nNo result file\n`);
+
+  // Compute what changed in the working tree
+  if (taskRecord.gitBefore) {
+    try {
+      taskRecord.gitAfter = await captureGitSnapshot(taskRecord.executionDirectory, join(LOGS_DIR, `${taskId}.index`));
+      const diff = await diffGitSnapshots(taskRecord.executionDirectory, taskRecord.gitBefore.tree, taskRecord.gitAfter.tree);
+      await writeFile(diffFile, diff.patch);
+      taskRecord.diffFile = diffFile;
+      taskRecord.diffStats = diff.stats;
+      taskRecord.diffFiles = diff.files;
+      await appendFile(logFile, `Diff: ${diff.stats.filesChanged} file(s), +${diff.stats.additions} -${diff.stats.deletions}\n`);
+    } catch (err) {
+      taskRecord.gitError = `Diff failed: ${err.message.split("\n")[0]}`;
+      await appendFile(logFile, `WARNING: ${taskRecord.gitError}\n`);
+    }
+  }
+
+  // Commit the worktree's changes onto the task branch, ready for codex_apply
+  if (taskRecord.worktree) {
+    try {
+      const commit = await commitTaskWorktree(taskRecord.worktree, `codex: ${task.split("\n")[0].slice(0, 72)}\n\nCodex task ${taskId}`);
+      taskRecord.worktree.commit = commit || taskRecord.worktree.commit || null;
+      await appendFile(logFile, `Worktree: ${commit ? `committed ${commit} on ${taskRecord.worktree.branch}` : "no uncommitted changes"}\n`);
+    } catch (err) {
+      taskRecord.worktree.note = `Commit failed: ${err.message.split("\n")[0]}`;
+      await appendFile(logFile, `WARNING: Worktree ${taskRecord.worktree.note}\n`);
+    }
+    taskRecord.worktree.state = "ready";
+    taskRecord.worktree.updatedAt = new Date().toISOString();
+  }
+
+  // Update task record
+  taskRecord.status = succeeded ? "completed" : "failed";
+  taskRecord.exitCode = code;
+  taskRecord.exitSignal = signal || signalName;
+  taskRecord.completedAt = endTime;
+  taskRecord.duration = elapsed;
+  taskRecord.durationFormatted = formatDuration(elapsed);
+  taskRecord.result = result;
+  taskRecord.pid = null;
+  if (failureReason) taskRecord.failureReason = failureReason;
+  taskRecord.failureClass = failureClass;
+
+  // Send completion notification
+  await sendProgress(taskId, `Task ${succeeded ? "completed" : "failed"}`, {
+    status: taskRecord.status,
+    duration: formatDuration(elapsed),
+    exitCode: code,
+    exitSignal: taskRecord.exitSignal,
+    failureReason,
+    failureClass,
+  });
+
+  // Update debug file
+  await writeFile(debugFile, JSON.stringify(taskRecord, null, 2));
+  await saveFinalRecord();
+
+  return {
+    status: taskRecord.status,
+    exitCode: code,
+    exitSignal: taskRecord.exitSignal,
+    duration: elapsed,
+    durationFormatted: formatDuration(elapsed),
+    failureReason,
+    failureClass,
+    result,
+    structuredOutput: taskRecord.structuredOutput,
+  };
+}
+
+const schemaValidator = new AjvJsonSchemaValidator();
+
+// Compile a caller's output schema, throwing if it isn't a usable JSON
+// Schema. Codex and MCP structured content both need an object at the top.
+function compileOutputSchema(schema) {
+  if (typeof schema !== "object" || Array.isArray(schema) || schema.type !== "object") {
+    throw new Error('outputSchema must be a JSON Schema with type "object"');
+  }
+  try {
+    return schemaValidator.getValidator(schema);
+  } catch (err) {
+    throw new Error(`Invalid outputSchema: ${err.message}`);
+  }
+}
+
+// Parse a task's final message as JSON and validate it against the schema
+// file. A message wrapped in a ```json fence is accepted.
+async function checkStructuredOutput(schemaFile, result) {
+  const validate = compileOutputSchema(JSON.parse(await readFile(schemaFile, "utf-8")));
+  const text = (result || "").trim().replace(/^```(?:json)?\s*\n([\s\S]*)\n```$/, "$1");
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { valid: false, error: `Output is not valid JSON: ${err.message}` };
+  }
+  const checked = validate(data);
+  if (!checked.valid) {
+    return { valid: false, error: `Output does not match the output schema: ${checked.errorMessage}` };
+  }
+  return { valid: true, data };
+}
+
+// Read `file` from byte `offset` to its current end
+async function readFrom(file, offset) {
+  return readRange(file, offset, Infinity);
+}
+
+// Read up to `length` bytes of `file` from byte `offset`; empty if the file
+// is missing or shorter
+async function readRange(file, offset, length) {
+  let handle;
+  try {
+    handle = await open(file, "r");
+  } catch {
+    return Buffer.alloc(0);
+  }
+  try {
+    const { size } = await handle.stat();
+    if (size <= offset) return Buffer.alloc(0);
+    const buffer = Buffer.alloc(Math.min(size - offset, length));
+    const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// The last `count` lines of a file, reading backwards from its end in chunks
+// rather than loading all of it. Also returns the file size, a codex_tail cursor.
+async function readLastLines(file, count) {
+  const { size } = await stat(file);
+  let start = size;
+  let data = Buffer.alloc(0);
+  let newlines = 0;
+  while (start > 0 && newlines <= count) {
+    const length = Math.min(65536, start);
+    start -= length;
+    const chunk = await readRange(file, start, length);
+    for (const byte of chunk) if (byte === 0x0a) newlines++;
+    data = Buffer.concat([chunk, data]);
+  }
+  return { text: data.toString().split("\n").slice(-count).join("\n"), size };
+}
+
+async function handleCodexStatus(args) {
+  const taskId = args.taskId;
+  const tailLines = args.tailLines || 50;
+
+  const taskRecord = tasks.get(taskId);
+  if (!taskRecord) {
+    return {
+      content: [{ type: "text", text: `Task not found: ${taskId}` }],
+      isError: true,
+    };
+  }
+
+  // Calculate elapsed/duration (queued tasks count from when they were queued)
+  const startTime = new Date(taskRecord.startedAt || taskRecord.queuedAt).getTime();
+  const endTime = taskRecord.completedAt ? new Date(taskRecord.completedAt).getTime() : Date.now();
+  const elapsed = endTime - startTime;
+  const lastActivity = taskRecord.lastActivityAt
+    ? Date.now() - new Date(taskRecord.lastActivityAt).getTime()
+    : null;
+
+  // Read recent log lines
+  let recentLogs = "";
+  let logSize = null;
+  try {
+    const tail = await readLastLines(taskRecord.logFile, tailLines);
+    recentLogs = tail.text;
+    logSize = tail.size;
+  } catch {
+    recentLogs = "(no logs yet)";
+  }
+
+  let output = `## Codex Task Status\n\n`;
+  output += `**Task ID:** ${taskId}\n`;
+  if (taskRecord.codexSessionId) {
+    output += `**Session ID:** ${taskRecord.codexSessionId}\n`;
+  }
+  output += `**Status:** ${taskRecord.status}\n`;
+  output += `**Task:** ${taskRecord.task.slice(0, 100)}${taskRecord.task.length > 100 ? '...' : ''}\n`;
+  if (taskRecord.profile) {
+    output += `**Profile:** ${taskRecord.profile}\n`;
+  }
+  if (taskRecord.template) {
+    output += `**Template:** ${taskRecord.template}${Object.keys(taskRecord.templateVariables).length > 0 ? ` (${Object.entries(taskRecord.templateVariables).map(([k, v]) => `${k}=${v}`).join(", ")})` : ""}\n`;
+  }
+  if (taskRecord.attachments) {
+    output += `**Attachments:** ${summarizeAttachments(taskRecord.attachments)}\n`;
+    for (const a of taskRecord.attachments) output += `- ${a.path} (${describeAttachment(a)})\n`;
+  }
+  if (isOwnedElsewhere(taskRecord)) {
+    output += `**Owner:** another codex-connector instance (pid ${taskRecord.owner.pid}); status is read from the shared task store\n`;
+  }
+  if (taskRecord.sandboxLoweredBy) {
+    output += `**Sandbox:** ${taskRecord.sandbox} (lowered from the default by ${taskRecord.sandboxLoweredBy})\n`;
+  }
+  if (taskRecord.pipelineId) {
+    output += `**Pipeline:** ${taskRecord.pipelineId} (step ${taskRecord.pipelineStep})\n`;
+  }
+  if (taskRecord.queuedAt) {
+    output += `**Queued:** ${taskRecord.queuedAt}\n`;
+  }
+  output += `**Started:** ${taskRecord.startedAt || "(not yet)"}\n`;
+  if (taskRecord.retryPolicy) {
+    output += `**Attempt:** ${taskRecord.attempt}/${taskRecord.retryPolicy.maxAttempts} (retries on ${taskRecord.retryPolicy.retryOn.join(", ")})\n`;
+  }
+
+  if (taskRecord.status === "queued" && taskRecord.notBefore) {
+    output += `**Next attempt:** ${taskRecord.notBefore}\n`;
+  }
+
+  if (taskRecord.status === "queued") {
+    const position = taskQueue.indexOf(taskId) + 1;
+    output += `**Waiting:** ${formatDuration(elapsed)}\n`;
+    output += `**Queue position:** ${position} of ${taskQueue.length} (priority ${taskRecord.priority || 0})\n`;
+    output += `**Running:** ${countRunningTasks()}/${MAX_CONCURRENT_TASKS} overall, ${countRunningTasks(taskRecord.repoKey)}/${MAX_TASKS_PER_REPO} in ${taskRecord.repoKey}\n`;
+  }
+
+  if (taskRecord.status === "running") {
+    output += `**Elapsed:** ${formatDuration(elapsed)}\n`;
+    output += `**PID:** ${taskRecord.pid}\n`;
+    if (lastActivity !== null) {
+      output += `**Last activity:** ${formatDuration(lastActivity)} ago (${taskRecord.lastActivityType})\n`;
+    }
+    output += `**Heartbeats:** ${taskRecord.heartbeatCount}\n`;
+    if (taskRecord.lastOutputSnippet) {
+      output += `**Recent output:** \`${taskRecord.lastOutputSnippet.slice(-80)}...\`\n`;
+    }
+  }
+
+  if (taskRecord.completedAt) {
+    output += `**Completed:** ${taskRecord.completedAt}\n`;
+    output += `**Duration:** ${taskRecord.durationFormatted || formatDuration(elapsed)}\n`;
+  }
+
+  // Diagnostics section
+  output += `\n### Diagnostics\n`;
+  output += `| Metric | Value |\n`;
+  output += `|--------|-------|\n`;
+  output += `| Exit code | ${taskRecord.exitCode ?? `(${taskRecord.status})`} |\n`;
+  output += `| Exit signal | ${taskRecord.exitSignal || "none"} |\n`;
+  if (taskRecord.failureClass) {
+    output += `| Failure class | ${taskRecord.failureClass} |\n`;
+  }
+  output += `| Stdout bytes | ${taskRecord.stdoutBytes || 0} |\n`;
+  output += `| Stderr bytes | ${taskRecord.stderrBytes || 0} |\n`;
+  output += `| Timeout | ${taskRecord.timeoutMs > 0 ? `${taskRecord.timeoutMs}ms` : "none"} |\n`;
+  if (taskRecord.stallPolicy) {
+    const { thresholdMs, action } = taskRecord.stallPolicy;
+    output += `| Stall handling | ${action} after ${formatDuration(thresholdMs)} idle |\n`;
+  }
+  if (taskRecord.stalls && taskRecord.stalls.length > 0) {
+    const last = taskRecord.stalls[taskRecord.stalls.length - 1];
+    output += `| Stalls | ${taskRecord.stalls.length} (last: ${formatDuration(last.idleMs)} idle, ${last.outcome}) |\n`;
+  }
+  if (taskRecord.eventCount) {
+    output += `| Events | ${taskRecord.eventCount} (use codex_events for the timeline) |\n`;
+  }
+  if (taskRecord.usage) {
+    const { inputTokens, cachedInputTokens, outputTokens, turns } = taskRecord.usage;
+    output += `| Tokens | ${formatTokens(inputTokens)} in (${formatTokens(cachedInputTokens)} cached), ${formatTokens(outputTokens)} out over ${turns} turn(s)${taskRecord.usage.estimated ? " (partly estimated)" : ""} |\n`;
+    output += `| Estimated cost | ${taskRecord.costUsd != null ? formatCost(taskRecord.costUsd) : `unknown (no price for ${taskRecord.model})`} |\n`;
+  }
+  if (taskRecord.turnEstimate && isTaskPending(taskRecord)) {
+    output += `| Current turn (estimated) | ~${formatTokens(taskRecord.turnEstimate.inputTokens)} in, ~${formatTokens(taskRecord.turnEstimate.outputTokens)} out |\n`;
+  }
+  for (const budget of listBudgets({ ...taskRecord, ignoreBudget: true })) {
+    output += `| Budget | ${describeBudget(budget)} |\n`;
+  }
+  if (taskRecord.budgetWarnings?.length > 0) {
+    output += `| Budget warnings | ${taskRecord.budgetWarnings.map((w) => w.message).join("; ")} |\n`;
+  }
+  if (taskRecord.outputSchemaFile) {
+    const state = taskRecord.structuredOutput ? "matched" : taskRecord.failureClass === "invalid_output" ? "did not match" : "pending";
+    const fixes = taskRecord.outputFixAttempts > 0 ? `, ${taskRecord.outputFixes}/${taskRecord.outputFixAttempts} fix(es) used` : "";
+    output += `| Output schema | ${state}${fixes} (${taskRecord.outputSchemaFile}) |\n`;
+  }
+  if (taskRecord.filesTouched && taskRecord.filesTouched.length > 0) {
+    output += `| Files touched | ${taskRecord.filesTouched.length} |\n`;
+  }
+
+  if (taskRecord.diffStats) {
+    output += `\n### Changes\n${formatDiffStats(taskRecord.diffStats)} (use codex_diff for details)\n`;
+  }
+
+  if (taskRecord.worktree) {
+    output += `\n### Worktree\n`;
+    output += `- State: ${taskRecord.worktree.state}\n`;
+    output += `- Branch: ${taskRecord.worktree.branch}\n`;
+    output += `- Path: ${taskRecord.worktree.path}\n`;
+    if (taskRecord.worktree.note) output += `- Note: ${taskRecord.worktree.note}\n`;
+    if (["ready", "interrupted"].includes(taskRecord.worktree.state)) {
+      output += `\nUse \`codex_apply\` to bring the changes back or \`codex_discard\` to drop them.\n`;
+    }
+  }
+
+  if (taskRecord.failureReason) {
+    output += `\n### Failure Reason\n\`\`\`\n${taskRecord.failureReason}\n\`\`\`\n`;
+  }
+
+  if (taskRecord.attempts && taskRecord.attempts.length > 1) {
+    output += `\n### Attempts\n`;
+    output += `| # | Status | Duration | Exit | Failure class |\n`;
+    output += `|---|--------|----------|------|---------------|\n`;
+    for (const a of taskRecord.attempts) {
+      const exit = a.exitSignal || (a.exitCode ?? "-");
+      output += `| ${a.attempt} | ${a.status} | ${a.duration != null ? formatDuration(a.duration) : "-"} | ${exit} | ${a.failureClass || "-"} |\n`;
+    }
+  }
+
+  output += `\n### Recent Logs (last ${tailLines} lines)\n\`\`\`\n${recentLogs}\n\`\`\`\n`;
+  if (logSize !== null && isTaskPending(taskRecord)) {
+    output += `> Follow new output with codex_tail (cursor: ${logSize}).\n`;
+  }
+
+  if (taskRecord.result) {
+    output += `\n### Result\n${taskRecord.result}\n`;
+  }
+
+  // Add debug file location
+  output += `\n---\n**Debug file:** ${taskRecord.debugFile}\n`;
+
+  return {
+    content: [{ type: "text", text: output }],
+  };
+}
+
+async function handleCodexTasks(args) {
+  const statusFilter = args.status || "all";
+  const limit = args.limit || 20;
+
+  let filtered = Array.from(tasks.values());
+
+  if (statusFilter !== "all") {
+    filtered = filtered.filter((t) => t.status === statusFilter);
+  }
+
+  // Sort by start time descending
+  filtered.sort((a, b) => new Date(b.startedAt || b.queuedAt) - new Date(a.startedAt || a.queuedAt));
+  filtered = filtered.slice(0, limit);
+
+  if (filtered.length === 0) {
+    return {
+      content: [{ type: "text", text: "No tasks found." }],
+    };
+  }
+
+  let output = `## Codex Tasks (${statusFilter})\n\n`;
+  output += `| ID | Status | Duration | Exit | Task |\n`;
+  output += `|----|--------|----------|------|------|\n`;
+
+  for (const t of filtered) {
+    const shortTask = t.task.length > 30 ? t.task.slice(0, 30) + "..." : t.task;
+    let duration = t.durationFormatted || "-";
+    if (t.status === "running") {
+      duration = formatDuration(Date.now() - new Date(t.startedAt).getTime());
+    } else if (t.status === "queued") {
+      duration = `queued ${formatDuration(Date.now() - new Date(t.queuedAt).getTime())}`;
+    }
+    const exit = t.exitSignal || (t.exitCode !== null ? t.exitCode : "-");
+    output += `| ${t.id} | ${t.status} | ${duration} | ${exit} | ${shortTask} |\n`;
+  }
+
+  return {
+    content: [{ type: "text", text: output }],
+  };
+}
+
+async function handleCodexCancel(args) {
+  const taskId = args.taskId;
+  const taskRecord = tasks.get(taskId);
+
+  if (!taskRecord) {
+    return {
+      content: [{ type: "text", text: `Task not found: ${taskId}` }],
+      isError: true,
+    };
+  }
+
+  const { message, isError } = await cancelTask(taskRecord, "Cancelled by user");
+  return {
+    content: [{ type: "text", text: message }],
+    isError,
+  };
+}
+
+// Cancel a queued or running task. Queued tasks leave the queue; running
+// tasks get SIGTERM on their whole process tree, then SIGKILL for whatever is
+// left after 5 seconds.
+async function cancelTask(taskRecord, reason) {
+  const taskId = taskRecord.id;
+
+  // Only the instance that owns the process or queue entry can stop it
+  if (isOwnedElsewhere(taskRecord)) {
+    return {
+      message: `Task ${taskId} is ${taskRecord.status} in another codex-connector instance (pid ${taskRecord.owner.pid}); cancel it from that session.`,
+      isError: true,
+    };
+  }
+
+  // A queued task just leaves the queue
+  if (taskRecord.status === "queued") {
+    const index = taskQueue.indexOf(taskId);
+    if (index !== -1) taskQueue.splice(index, 1);
+    const failureReason = `${reason} before start`;
+    taskRecord.status = "failed";
+    taskRecord.failureReason = failureReason;
+    taskRecord.failureClass = "cancelled";
+    taskRecord.completedAt = new Date().toISOString();
+    taskRecord.duration = 0;
+    taskRecord.durationFormatted = formatDuration(0);
+    await appendFile(taskRecord.logFile, `[${taskRecord.completedAt}] CANCELLED: Removed from queue before start (${reason})\n`);
+    await saveTasks();
+    await sendProgress(taskId, "Queued task cancelled", { status: "failed", failureReason });
+    resolveCompletion(taskId, {
+      status: "failed",
+      failureReason,
+      failureClass: "cancelled",
+      duration: 0,
+      durationFormatted: formatDuration(0),
+    });
+    return { message: `Removed queued task ${taskId} from the queue. It will not run.` };
+  }
+
+  if (taskRecord.status !== "running") {
+    return { message: `Task ${taskId} is not running (status: ${taskRecord.status})` };
+  }
+
+  if (!activeProcesses.has(taskId)) {
+    // Still setting up (worktree, snapshot); runTask checks this before spawning
+    taskRecord.cancelRequested = reason;
+    return { message: `Task ${taskId} is starting up; it will be cancelled before Codex is spawned.` };
+  }
+
+  try {
+    taskRecord.failureReason = reason;
+    taskRecord.killReason = "cancelled";
+    await appendFile(taskRecord.logFile, `\n[${new Date().toISOString()}] CANCELLED: ${reason}\n`);
+
+    await sendProgress(taskId, "Task cancellation requested", {
+      status: "cancelling",
+    });
+
+    // Give the process tree a moment, then force kill what's left
+    terminateTask(taskRecord, 5000, () => {
+      appendFile(taskRecord.logFile, `[${new Date().toISOString()}] SIGKILL sent to remaining processes after SIGTERM timeout\n`).catch(() => {});
+    });
+
+    return { message: `Sent SIGTERM to the process tree of task ${taskId} (PID ${taskRecord.pid}). Task will be cancelled.` };
+  } catch (err) {
+    return { message: `Failed to cancel task: ${err.message}`, isError: true };
+  }
+}
+
+async function handleCodexWait(args, extra) {
+  const taskIds = [...new Set(args.taskIds?.length ? args.taskIds : args.taskId ? [args.taskId] : [])];
+  const mode = args.mode || "all";
+  const until = args.until || [];
+  const pollIntervalMs = args.pollIntervalMs || 5000;
+  const timeoutMs = args.timeoutMs || 0;
+
+  if (taskIds.length === 0) {
+    return {
+      content: [{ type: "text", text: "Pass taskId or taskIds" }],
+      isError: true,
+    };
+  }
+  const missing = taskIds.filter((id) => !tasks.has(id));
+  if (missing.length > 0) {
+    return {
+      content: [{ type: "text", text: `Task not found: ${missing.join(", ")}` }],
+      isError: true,
+    };
+  }
+
+  // What the tasks looked like when the wait started, to spot `until` events
+  const baseline = new Map(taskIds.map((id) => {
+    const t = tasks.get(id);
+    return [id, { status: t.status, sessionId: t.codexSessionId, stalls: t.stalls?.length || 0, attempt: t.attempt || 1 }];
+  }));
+
+  const check = () => {
+    const records = taskIds.map((id) => tasks.get(id));
+    const pruned = taskIds.filter((id, i) => !records[i]);
+    if (pruned.length > 0) return { pruned };
+    const finished = records.filter(isTaskFinal);
+    if (mode === "any" ? finished.length > 0 : finished.length === records.length) return { finished };
+    for (const record of records) {
+      const event = detectWaitEvent(record, baseline.get(record.id), until);
+      if (event) return { event, record };
+    }
+    return null;
+  };
+
+  const startWait = Date.now();
+  let outcome = check();
+  if (!outcome) {
+    const stopProgress = trackRequestProgress(extra, taskIds);
+    outcome = await new Promise((resolve) => {
+      const signal = extra?.signal;
+      let poll = null;
+      let timer = null;
+      const done = (value) => {
+        taskEvents.off("update", onUpdate);
+        signal?.removeEventListener("abort", onAbort);
+        clearInterval(poll);
+        clearTimeout(timer);
+        stopProgress();
+        resolve(value);
+      };
+      // Our own tasks announce every change
+      const onUpdate = (id) => {
+        if (!taskIds.includes(id)) return;
+        const result = check();
+        if (result) done(result);
+      };
+      const onAbort = () => done({ aborted: true });
+
+      taskEvents.on("update", onUpdate);
+      if (signal?.aborted) return done({ aborted: true });
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (timeoutMs > 0) timer = setTimeout(() => done({ timedOut: true }), timeoutMs);
+
+      // Tasks of other instances only change in the shared store, so refresh
+      // it now and then; also keep Claude posted while waiting
+      poll = setInterval(async () => {
+        if (taskIds.some((id) => tasks.has(id) && isOwnedElsewhere(tasks.get(id)))) {
+          await refreshTasks().catch(() => {});
+        }
+        const result = check();
+        if (result) return done(result);
+        const pending = taskIds.filter((id) => isTaskPending(tasks.get(id)));
+        await sendProgress(pending[0], `Waiting for ${pending.length} task(s) (${formatDuration(Date.now() - startWait)} elapsed)`, {
+          status: "waiting",
+          taskIds: pending,
+          waitElapsed: formatDuration(Date.now() - startWait),
+        });
+      }, pollIntervalMs);
+    });
+  }
+
+  if (outcome.pruned) {
+    return {
+      content: [{ type: "text", text: `Task ${outcome.pruned.join(", ")} was pruned while waiting` }],
+      isError: true,
+    };
+  }
+
+  if (outcome.aborted) {
+    const onAbort = args.onAbort || "detach";
+    const texts = [];
+    for (const id of taskIds) {
+      const { content } = await abandonTask(tasks.get(id), onAbort, "codex_wait");
+      texts.push(content[0].text);
+    }
+    return { content: [{ type: "text", text: texts.join("\n") }] };
+  }
+
+  const waited = formatDuration(Date.now() - startWait);
+
+  if (outcome.event) {
+    return {
+      content: [{ type: "text", text: formatWaitEvent(outcome.event, outcome.record, waited) }],
+    };
+  }
+
+  if (outcome.timedOut) {
+    const records = taskIds.map((id) => tasks.get(id));
+    let text = `## Codex Wait Timeout\n\n`;
+    if (records.length === 1) {
+      text += `**Task ID:** ${records[0].id}\n` +
+        `**Status:** still ${records[0].status}\n`;
+    }
+    text += `**Waited:** ${waited}\n` +
+      `**Timeout:** ${formatDuration(timeoutMs)}\n\n`;
+    if (records.length > 1) {
+      text += formatWaitTable(records) + "\n";
+    }
+    text += `${records.length === 1 ? `Task is still ${records[0].status}` : "Not all tasks have finished"}. Use \`codex_status\` to check progress or \`codex_cancel\` to stop a task.`;
+    return { content: [{ type: "text", text }] };
+  }
+
+  // A single task keeps the classic result
+  if (taskIds.length === 1) {
+    const record = tasks.get(taskIds[0]);
+    return {
+      content: [{ type: "text", text: formatWaitResult(taskIds[0], record) }],
+      ...(record.structuredOutput && { structuredContent: record.structuredOutput }),
+    };
+  }
+
+  const records = taskIds.map((id) => tasks.get(id));
+  const finished = records.filter(isTaskFinal);
+  let text = `## Codex Wait (${mode})\n\n` +
+    `**Finished:** ${finished.length} of ${records.length} task(s)\n` +
+    `**Waited:** ${waited}\n\n` +
+    formatWaitTable(records);
+  for (const record of finished) {
+    text += `\n---\n\n${formatWaitResult(record.id, record)}`;
+  }
+  if (finished.length < records.length) {
+    text += `\n---\n\nStill pending: ${records.filter((r) => !isTaskFinal(r)).map((r) => `\`${r.id}\``).join(", ")}. Call codex_wait again with those IDs to keep waiting.\n`;
+  }
+  return { content: [{ type: "text", text }] };
+}
+
+// The first `until` event that happened to a task since the wait started
+function detectWaitEvent(record, baseline, until) {
+  if (until.includes("started") && baseline.status === "queued" && record.status === "running") return "started";
+  if (until.includes("session") && !baseline.sessionId && record.codexSessionId) return "session";
+  if (until.includes("stall") && (record.stalls?.length || 0) > baseline.stalls) return "stall";
+  if (until.includes("retry") && (record.attempt || 1) > baseline.attempt) return "retry";
+  return null;
+}
+
+function formatWaitEvent(event, record, waited) {
+  let output = `## Codex Wait: ${event}\n\n`;
+  output += `**Task ID:** ${record.id}\n`;
+  output += `**Status:** ${record.status}\n`;
+  output += `**Waited:** ${waited}\n`;
+  if (event === "started") {
+    output += `**Started:** ${record.startedAt}\n`;
+  } else if (event === "session") {
+    output += `**Session ID:** ${record.codexSessionId}\n`;
+  } else if (event === "stall") {
+    const stall = record.stalls[record.stalls.length - 1];
+    output += `**Stall:** no activity for ${formatDuration(stall.idleMs)}, action ${stall.action} (${stall.outcome})\n`;
+  } else if (event === "retry") {
+    const previous = record.attempts[record.attempts.length - 1];
+    output += `**Attempt:** ${record.attempt}${record.retryPolicy ? ` of ${record.retryPolicy.maxAttempts}` : ""}\n`;
+    if (previous?.failureClass) output += `**Previous attempt failed:** ${previous.failureClass}\n`;
+  }
+  output += `\nThe task has not finished. Call codex_wait again to keep waiting.\n`;
+  return output;
+}
+
+function formatWaitTable(records) {
+  let output = `| ID | Status | Duration | Failure class | Task |\n`;
+  output += `|----|--------|----------|---------------|------|\n`;
+  for (const r of records) {
+    const duration = r.durationFormatted ||
+      (r.startedAt ? `${formatDuration(Date.now() - new Date(r.startedAt).getTime())} so far` : "-");
+    output += `| \`${r.id}\` | ${r.status} | ${duration} | ${r.failureClass || "-"} | ${r.task.split("\n")[0].slice(0, 40)} |\n`;
+  }
+  return output;
+}
+
+// How often a blocking call checks for progress to report, and the longest
+// it stays quiet while nothing changes
+const REQUEST_PROGRESS_INTERVAL_MS = 1000;
+const REQUEST_PROGRESS_MAX_QUIET_MS = 10000;
+
+// While a blocking call waits on tasks, send notifications/progress against
+// the request's progress token (if the client sent one) whenever a task's
+// status, events or heartbeats move on, and at least every 10 seconds.
+// Progress is the time waited in ms, so it always increases. Returns a
+// function that stops the reports.
+function trackRequestProgress(extra, taskIds) {
+  const progressToken = extra?._meta?.progressToken;
+  if (progressToken === undefined) return () => {};
+
+  const startedWaiting = Date.now();
+  let lastState = null;
+  let lastSentAt = 0;
+  const timer = setInterval(() => {
+    const records = taskIds.map((id) => tasks.get(id)).filter(Boolean);
+    if (records.length === 0) return;
+    const state = records.map((r) => `${r.status}:${r.eventCount}:${r.heartbeatCount}:${r.attempt}`).join(",");
+    if (state === lastState && Date.now() - lastSentAt < REQUEST_PROGRESS_MAX_QUIET_MS) return;
+    lastState = state;
+    lastSentAt = Date.now();
+
+    const describe = (record) => {
+      const elapsed = record.startedAt ? formatDuration(Date.now() - new Date(record.startedAt).getTime()) : "not started";
+      let text = `Task ${record.id} ${record.status}, ${elapsed} elapsed, ${record.eventCount} event(s)`;
+      if (record.lastEventType) text += ` (last: ${record.lastEventType})`;
+      if (record.attempt > 1) text += `, attempt ${record.attempt}`;
+      return text;
+    };
+    const message = records.length === 1
+      ? describe(records[0])
+      : `${records.filter(isTaskFinal).length} of ${records.length} tasks finished; ` +
+        records.filter((r) => !isTaskFinal(r)).map(describe).join("; ");
+    extra.sendNotification({
+      method: "notifications/progress",
+      params: { progressToken, progress: Date.now() - startedWaiting, message },
+    }).catch(() => {});
+  }, REQUEST_PROGRESS_INTERVAL_MS);
+  return () => clearInterval(timer);
+}
 
-  const codex = spawn(CODEX_PATH, codexArgs, {
-    cwd: workingDirectory,
-    stdio: ["ignore", "pipe", "pipe"],
-    env: { ...process.env },
+// Resolves (with undefined) once the client cancels the request
+function whenAborted(signal) {
+  return new Promise((resolve) => {
+    if (!signal) return;
+    if (signal.aborted) resolve();
+    else signal.addEventListener("abort", () => resolve(), { once: true });
   });
+}
 
-  taskRecord.pid = codex.pid;
-  activeProcesses.set(taskId, codex);
-  await appendFile(logFile, `[${new Date().toISOString()}] Process spawned with PID ${codex.pid}\n\n`);
-  await saveTasks();
+// The blocking call waiting on a task was cancelled by the client. Cancel
+// the task ("kill") or leave it running as an async task ("detach"). The
+// client discards the response, so this is mostly for the log.
+async function abandonTask(taskRecord, onAbort, call) {
+  const taskId = taskRecord.id;
+  let text;
+  if (onAbort === "kill" && isTaskPending(taskRecord)) {
+    const outcome = await cancelTask(taskRecord, `Cancelled: the ${call} call waiting on it was aborted`);
+    text = outcome.message;
+  } else {
+    if (isTaskPending(taskRecord)) {
+      await appendFile(taskRecord.logFile, `[${new Date().toISOString()}] ${call} call aborted; task continues in the background\n`).catch(() => {});
+    }
+    text = `The ${call} call was aborted; task ${taskId} is ${taskRecord.status}. Use codex_status or codex_wait to follow it.`;
+  }
+  return { content: [{ type: "text", text }] };
+}
 
-  // Track activity and bytes
-  let outputBuffer = "";
-  let sessionCaptured = false;
+const SESSIONS_DIR = join(homedir(), ".codex", "sessions");
+
+// Session index: what codex_list_sessions needs from each session file,
+// kept in SESSION_INDEX_FILE so a listing only re-reads files whose size or
+// mtime changed, and only the part appended since (Codex appends to a
+// session when it's resumed). The user prompts and Codex messages of each
+// session are appended to a text file in SESSION_TEXT_DIR for search. The
+// index is a cache: instances sharing DATA_DIR may overwrite each other's copy.
+const SESSION_INDEX_VERSION = 2;
+// A refresh this recent is reused rather than rescanning the directory
+const SESSION_INDEX_FRESH_MS = 2000;
+let sessionIndex = null;
+let sessionIndexRefreshedAt = 0;
+let sessionIndexRefresh = null;
+
+// All Codex session files with their size and mtime
+async function findSessionFiles() {
+  const files = [];
+  const walk = async (dir) => {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    await Promise.all(entries.map(async (entry) => {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(fullPath);
+      } else if (entry.name.endsWith(".jsonl")) {
+        const info = await stat(fullPath).catch(() => null);
+        if (info) files.push({ path: fullPath, mtimeMs: info.mtimeMs, size: info.size });
+      }
+    }));
+  };
+  await walk(SESSIONS_DIR);
+  return files;
+}
 
-  const updateActivity = (type, bytes = 0, snippet = "") => {
-    taskRecord.lastActivityAt = new Date().toISOString();
-    taskRecord.lastActivityType = type;
-    if (type === "stdout") taskRecord.stdoutBytes += bytes;
-    if (type === "stderr") taskRecord.stderrBytes += bytes;
-    if (snippet) {
-      // Keep last meaningful output snippet for progress updates
-      const cleaned = snippet.toString().trim().slice(-200);
-      if (cleaned.length > 10) {
-        taskRecord.lastOutputSnippet = cleaned;
+async function loadSessionIndex() {
+  try {
+    const stored = JSON.parse(await readFile(SESSION_INDEX_FILE, "utf-8"));
+    if (stored.version === SESSION_INDEX_VERSION) {
+      return new Map(stored.sessions.map((entry) => [entry.path, entry]));
+    }
+  } catch {
+    // No index yet, or unreadable; it is rebuilt from the session files
+  }
+  return new Map();
+}
+
+// Bring the index up to date with the session files. Returns the indexed
+// sessions with a session ID, most recently active first.
+async function refreshSessionIndex() {
+  if (!sessionIndexRefresh && (!sessionIndex || Date.now() - sessionIndexRefreshedAt >= SESSION_INDEX_FRESH_MS)) {
+    sessionIndexRefresh = updateSessionIndex().finally(() => {
+      sessionIndexRefresh = null;
+    });
+  }
+  if (sessionIndexRefresh) await sessionIndexRefresh;
+  return [...sessionIndex.values()].filter((entry) => entry.id).sort((a, b) => b.mtimeMs - a.mtimeMs);
+}
+
+async function updateSessionIndex() {
+  sessionIndex ??= await loadSessionIndex();
+  await mkdir(SESSION_TEXT_DIR, { recursive: true });
+  const files = await findSessionFiles();
+  let changed = false;
+
+  const seen = new Set();
+  for (const file of files) {
+    seen.add(file.path);
+    const entry = sessionIndex.get(file.path);
+    if (entry && entry.mtimeMs === file.mtimeMs && entry.size === file.size) continue;
+    // A file that shrank was rewritten; index it again from the start
+    const base = entry && file.size >= entry.offset
+      ? { ...entry }
+      : {
+        path: file.path,
+        textFile: join(SESSION_TEXT_DIR, `${basename(file.path, ".jsonl")}.txt`),
+        id: null,
+        timestamp: null,
+        cwd: null,
+        preview: null,
+        turns: 0,
+        offset: 0,
+      };
+    sessionIndex.set(file.path, await indexSessionFile(base, file));
+    changed = true;
+  }
+  for (const path of sessionIndex.keys()) {
+    if (seen.has(path)) continue;
+    await unlink(sessionIndex.get(path).textFile).catch(() => {});
+    sessionIndex.delete(path);
+    changed = true;
+  }
+
+  if (changed) {
+    await writeFileAtomic(SESSION_INDEX_FILE, JSON.stringify({ version: SESSION_INDEX_VERSION, sessions: [...sessionIndex.values()] }))
+      .catch((err) => console.error(`Failed to save the session index: ${err.message}`));
+  }
+  sessionIndexRefreshedAt = Date.now();
+}
+
+// Read a session file from the entry's offset up to its last complete line,
+// a megabyte at a time
+async function indexSessionFile(entry, file) {
+  let offset = entry.offset;
+  let carry = Buffer.alloc(0);
+  const messages = [];
+  while (offset < file.size) {
+    const chunk = await readRange(file.path, offset, Math.min(file.size - offset, 1024 * 1024));
+    if (chunk.length === 0) break;
+    offset += chunk.length;
+    const buffer = Buffer.concat([carry, chunk]);
+    const end = buffer.lastIndexOf(10) + 1;
+    for (const line of buffer.subarray(0, end).toString("utf-8").split("\n")) indexSessionLine(entry, line, messages);
+    carry = buffer.subarray(end);
+  }
+  const text = messages.map((message) => `${message}\n`).join("");
+  if (entry.offset === 0) {
+    await writeFile(entry.textFile, text);
+  } else if (text) {
+    await appendFile(entry.textFile, text);
+  }
+  return { ...entry, offset: offset - carry.length, mtimeMs: file.mtimeMs, size: file.size };
+}
+
+// Pick what the index keeps out of one session file line; messages go to
+// `messages` for the session's text file
+function indexSessionLine(entry, line, messages) {
+  if (!line.trim()) return;
+  let record;
+  try {
+    record = JSON.parse(line);
+  } catch {
+    return;
+  }
+  const { type, payload } = record;
+  if (type === "session_meta" && !entry.id && payload?.id) {
+    entry.id = payload.id;
+    entry.timestamp = payload.timestamp || record.timestamp || null;
+    entry.cwd = payload.cwd || null;
+  } else if (type === "event_msg" && (payload?.type === "user_message" || payload?.type === "agent_message")) {
+    const message = payload.message || "";
+    if (payload.type === "user_message") {
+      entry.turns++;
+      entry.preview ??= message.replace(/\s+/g, " ").trim().slice(0, 200);
+    }
+    messages.push(message);
+  }
+}
+
+// Path of the session file for `sessionId`
+async function findSessionFile(sessionId) {
+  const sessions = await refreshSessionIndex();
+  const entry = sessions.find((s) => s.id === sessionId);
+  if (entry) return entry.path;
+  // Files without session metadata can still be found by name
+  // (Codex names them rollout-<timestamp>-<session id>.jsonl)
+  for (const path of sessionIndex.keys()) {
+    if (path.endsWith(`-${sessionId}.jsonl`)) return path;
+  }
+  return null;
+}
+
+// The connector tasks that started or resumed a session. A task's first
+// attempt tells which; later attempts resume the task's own session.
+function findSessionTasks(sessionId) {
+  const linked = [];
+  for (const t of tasks.values()) {
+    const resumed = (t.attempts?.[0] ?? t).resumedFromSession === sessionId;
+    if (!resumed && t.codexSessionId !== sessionId) continue;
+    linked.push({ id: t.id, status: t.status, queuedAt: t.queuedAt ?? t.startedAt, role: resumed ? "resumed" : "created" });
+  }
+  return linked.sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+}
+
+function describeSessionTasks(linked) {
+  return linked.map((t) => `${t.id} (${t.role}, ${t.status})`).join(", ");
+}
+
+// A date argument as epoch ms; a bare date as the start of that day, or its
+// end for the upper bound of a range
+function parseDateArg(name, value, endOfDay = false) {
+  const time = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value).getTime();
+  if (Number.isNaN(time)) throw new Error(`${name} is not a valid date: ${value}`);
+  return time;
+}
+
+// Up to `length` characters of `text` around the first of `terms`
+function matchSnippet(text, terms, length = 120) {
+  const lower = text.toLowerCase();
+  const at = Math.min(...terms.map((term) => lower.indexOf(term)).filter((i) => i >= 0));
+  if (!Number.isFinite(at)) return "";
+  const start = Math.max(0, at - 40);
+  const snippet = text.slice(start, start + length).replace(/\s+/g, " ").trim();
+  return `${start > 0 ? "..." : ""}${snippet}${start + length < text.length ? "..." : ""}`;
+}
+
+async function handleCodexListSessions(args) {
+  const limit = args.limit || 10;
+  const offset = Math.max(args.offset || 0, 0);
+  const directoryMatch = args.directoryMatch || "within";
+
+  try {
+    if (!SESSION_DIRECTORY_MATCHES.includes(directoryMatch)) {
+      throw new Error(`Unknown directoryMatch: ${directoryMatch} (expected one of ${SESSION_DIRECTORY_MATCHES.join(", ")})`);
+    }
+    const since = args.since ? parseDateArg("since", args.since) : null;
+    const until = args.until ? parseDateArg("until", args.until, true) : null;
+    const terms = (args.query || "").toLowerCase().split(/\s+/).filter(Boolean);
+    // Match the directory as given and with symlinks resolved
+    const directories = [];
+    if (args.directory) {
+      const given = resolvePath(args.directory);
+      directories.push(given);
+      const real = await realpath(given).catch(() => given);
+      if (real !== given) directories.push(real);
+    }
+
+    const candidates = (await refreshSessionIndex()).filter((s) => {
+      if (directories.length > 0) {
+        const cwd = s.cwd ? resolvePath(s.cwd) : null;
+        if (!cwd || !directories.some((dir) => (directoryMatch === "exact" ? cwd === dir : isInside(cwd, dir)))) return false;
+      }
+      // Sessions active at some point in the range: started by `until`, last written after `since`
+      if (since !== null && s.mtimeMs < since) return false;
+      if (until !== null && new Date(s.timestamp || s.mtimeMs).getTime() > until) return false;
+      return true;
+    });
+
+    // The query is matched against each remaining session's full text file
+    const texts = new Map();
+    const matches = [];
+    for (const s of candidates) {
+      if (terms.length > 0) {
+        const text = await readFile(s.textFile, "utf8").catch(() => "");
+        const lower = text.toLowerCase();
+        if (!terms.every((term) => lower.includes(term))) continue;
+        texts.set(s.path, text);
+      }
+      matches.push(s);
+    }
+
+    const results = matches.slice(offset, offset + limit).map((s) => ({
+      sessionId: s.id,
+      timestamp: s.timestamp,
+      lastActive: new Date(s.mtimeMs).toISOString(),
+      directory: s.cwd || "(unknown)",
+      directoryName: (s.cwd || "").split("/").pop() || s.cwd || "(unknown)",
+      taskPreview: s.preview ? `${s.preview.slice(0, 100)}${s.preview.length > 100 ? "..." : ""}` : "(no task preview)",
+      turns: s.turns,
+      snippet: terms.length > 0 ? matchSnippet(texts.get(s.path), terms) : null,
+      connectorTasks: findSessionTasks(s.id),
+    }));
+
+    // Format output for Claude to present to user
+    let output = `## Available Codex Sessions\n\n`;
+    const filters = [
+      args.directory && `directory ${directoryMatch === "exact" ? "=" : "within"} ${args.directory}`,
+      args.query && `matching "${args.query}"`,
+      args.since && `active since ${args.since}`,
+      args.until && `started by ${args.until}`,
+    ].filter(Boolean);
+    output += `Found ${matches.length} session(s)${filters.length > 0 ? ` (${filters.join(", ")})` : ""}`;
+    output += results.length > 0 ? `, showing ${offset + 1}-${offset + results.length}.\n\n` : `.\n\n`;
+
+    if (results.length === 0) {
+      output += offset > 0 && matches.length > 0
+        ? `No sessions at offset ${offset}.\n`
+        : `No sessions found. A new session will be started.\n`;
+    } else {
+      output += `| # | Directory | Task | Last active | Session ID |\n`;
+      output += `|---|-----------|------|-------------|------------|\n`;
+
+      results.forEach((s, i) => {
+        const lastActive = formatDuration(Date.now() - new Date(s.lastActive).getTime()) + " ago";
+        output += `| ${offset + i + 1} | ${s.directoryName} | ${s.taskPreview.slice(0, 50).replace(/\|/g, "\\|")}${s.taskPreview.length > 50 ? '...' : ''} | ${lastActive} | \`${s.sessionId.slice(0, 8)}...\` |\n`;
+      });
+
+      output += `\n### Session Details\n\n`;
+      results.forEach((s, i) => {
+        output += `**${offset + i + 1}. ${s.directoryName}**${s.timestamp ? ` (started ${formatDuration(Date.now() - new Date(s.timestamp).getTime())} ago)` : ""}\n`;
+        output += `- Session ID: \`${s.sessionId}\`\n`;
+        output += `- Directory: ${s.directory}\n`;
+        output += `- Task: ${s.taskPreview}\n`;
+        output += `- Turns: ${s.turns}, last active ${s.lastActive}\n`;
+        if (s.connectorTasks.length > 0) output += `- Connector tasks: ${describeSessionTasks(s.connectorTasks)}\n`;
+        if (s.snippet) output += `- Match: ${s.snippet}\n`;
+        output += `\n`;
+      });
+      if (offset + results.length < matches.length) {
+        output += `More sessions match: call again with offset ${offset + results.length}.\n`;
       }
+      output += `Use codex_session_show with a session ID to read what a session contains before continuing it.\n`;
+    }
+
+    // Include structured data for Claude to use in AskUserQuestion
+    output += `\n---\n`;
+    output += `### For AskUserQuestion Options\n\n`;
+    output += `Use these session IDs when asking the user:\n`;
+    output += `\`\`\`json\n${JSON.stringify(results.map(s => ({ label: `[${s.directoryName}] ${s.taskPreview.slice(0, 40)}...`, sessionId: s.sessionId })), null, 2)}\n\`\`\`\n`;
+
+    return {
+      content: [{ type: "text", text: output }],
+    };
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Error listing sessions: ${error.message}` }],
+      isError: true,
+    };
+  }
+}
+
+// Parse a Codex session file into turns. A turn starts at each user message
+// (event_msg user_message); agent messages come from event_msg agent_message,
+// and commands, file edits and other tool calls from the response items, with
+// their outputs matched up by call_id.
+async function readSessionTranscript(path) {
+  const session = { meta: null, turns: [], models: new Set(), tokens: null, lines: 0, unparsed: 0 };
+  const calls = new Map();
+  let turn = null;
+  const currentTurn = (timestamp) => {
+    if (!turn) {
+      // Activity before the first user message
+      turn = { index: session.turns.length + 1, timestamp, user: null, images: 0, items: [] };
+      session.turns.push(turn);
     }
+    return turn;
   };
 
-  // Stream output to log file with activity tracking
-  codex.stdout.on("data", (data) => {
-    logStream.write(data);
-    updateActivity("stdout", data.length, data);
-
-    // Capture session ID from first JSONL line (thread.started event)
-    if (!sessionCaptured) {
-      outputBuffer += data.toString();
-      const lines = outputBuffer.split("\n");
-      for (const line of lines) {
-        if (line.trim()) {
-          try {
-            const json = JSON.parse(line);
-            if (json.thread_id) {
-              taskRecord.codexSessionId = json.thread_id;
-              sessionCaptured = true;
-              break;
-            }
-          } catch {
-            // Not valid JSON yet, keep buffering
-          }
-        }
+  const lines = createInterface({ input: createReadStream(path, { encoding: "utf-8" }), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    session.lines++;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      session.unparsed++;
+      continue;
+    }
+    const { timestamp, type, payload } = entry;
+    if (!payload) continue;
+
+    if (type === "session_meta") {
+      session.meta ??= payload;
+    } else if (type === "turn_context") {
+      if (payload.model) session.models.add(payload.model);
+    } else if (type === "compacted") {
+      currentTurn(timestamp).items.push({ kind: "note", text: "Earlier context was compacted into a summary" });
+    } else if (type === "event_msg") {
+      if (payload.type === "user_message") {
+        turn = { index: session.turns.length + 1, timestamp, user: payload.message || "", images: payload.images?.length || 0, items: [] };
+        session.turns.push(turn);
+      } else if (payload.type === "agent_message") {
+        currentTurn(timestamp).items.push({ kind: "message", text: payload.message || "" });
+      } else if (payload.type === "turn_aborted") {
+        currentTurn(timestamp).items.push({ kind: "note", text: `Turn aborted${payload.reason ? ` (${payload.reason})` : ""}` });
+      } else if (payload.type === "token_count" && payload.info?.total_token_usage) {
+        session.tokens = payload.info.total_token_usage;
       }
-      // Clear buffer once we've captured session or buffer is too large
-      if (sessionCaptured || outputBuffer.length > 10000) {
-        outputBuffer = "";
+    } else if (type === "response_item") {
+      const item = parseSessionCall(payload);
+      if (item) {
+        currentTurn(timestamp).items.push(item);
+        if (payload.call_id) calls.set(payload.call_id, item);
+      } else if (payload.type === "function_call_output" || payload.type === "custom_tool_call_output") {
+        const call = calls.get(payload.call_id);
+        if (call) Object.assign(call, parseSessionCallOutput(payload.output));
       }
     }
-  });
+  }
+  return session;
+}
 
-  codex.stderr.on("data", (data) => {
-    logStream.write(`[stderr] ${data}`);
-    updateActivity("stderr", data.length, data);
-  });
+// A response item that is a tool call, as a transcript item, or null
+function parseSessionCall(payload) {
+  let name = payload.name;
+  let args = {};
+  if (payload.type === "function_call") {
+    try {
+      args = JSON.parse(payload.arguments || "{}");
+    } catch {
+      args = { raw: payload.arguments };
+    }
+  } else if (payload.type === "custom_tool_call") {
+    args = { input: payload.input };
+  } else if (payload.type === "local_shell_call") {
+    name = "shell";
+    args = { command: payload.action?.command };
+  } else {
+    return null;
+  }
 
-  // Heartbeat logging for long-running tasks - sends progress to Claude
-  const heartbeatInterval = setInterval(async () => {
-    if (taskRecord.status !== "running") {
-      clearInterval(heartbeatInterval);
-      return;
+  let command = null;
+  if (Array.isArray(args.command)) {
+    const argv = args.command;
+    command = argv.length === 3 && /^(ba|z)?sh$/.test(argv[0].split("/").pop()) && argv[1].startsWith("-")
+      ? argv[2]
+      : argv.map((a) => (/\s/.test(a) ? JSON.stringify(a) : a)).join(" ");
+  } else if (typeof args.command === "string") {
+    command = args.command;
+  } else if (typeof args.cmd === "string") {
+    command = args.cmd;
+  }
+
+  // apply_patch is a tool of its own, or a shell command carrying the patch
+  const patchSource = name === "apply_patch" ? args.input : Array.isArray(args.command) ? args.command.join("\n") : command;
+  const patch = typeof patchSource === "string" ? /\*\*\* Begin Patch[\s\S]*?\*\*\* End Patch/.exec(patchSource)?.[0] : null;
+  if (patch) return { kind: "edit", patch, files: parsePatchFiles(patch) };
+  if (command !== null) return { kind: "command", command };
+  return { kind: "tool", name: name || payload.type, input: payload.arguments ?? payload.input ?? "" };
+}
+
+// Output of a tool call: JSON with metadata from older Codex versions,
+// "Exit code: N / Wall time: ... / Output:" text from newer ones
+function parseSessionCallOutput(raw) {
+  let text = typeof raw === "string" ? raw : raw?.content ?? JSON.stringify(raw);
+  let exitCode = null;
+  let durationSeconds = null;
+  try {
+    const parsed = JSON.parse(text);
+    if (parsed && typeof parsed.output === "string") {
+      text = parsed.output;
+      exitCode = parsed.metadata?.exit_code ?? null;
+      durationSeconds = parsed.metadata?.duration_seconds ?? null;
+    }
+  } catch {
+    const header = /^(?:Exit code: (-?\d+)\n)?(?:Wall time: ([\d.]+) seconds?\n)?(?:Total output lines: \d+\n)?Output:\n/.exec(text);
+    if (header) {
+      exitCode = header[1] != null ? Number(header[1]) : null;
+      durationSeconds = header[2] != null ? Number(header[2]) : null;
+      text = text.slice(header[0].length);
+    }
+  }
+  return { output: text, exitCode, durationSeconds };
+}
+
+// Files an apply_patch patch touches, with lines added and removed
+function parsePatchFiles(patch) {
+  const files = [];
+  let file = null;
+  for (const line of patch.split("\n")) {
+    const header = /^\*\*\* (Add|Update|Delete) File: (.+)$/.exec(line);
+    if (header) {
+      file = { path: header[2].trim(), action: header[1].toLowerCase(), added: 0, removed: 0 };
+      files.push(file);
+    } else if (file && line.startsWith("*** Move to: ")) {
+      file.movedTo = line.slice(13).trim();
+    } else if (file && line.startsWith("+")) {
+      file.added++;
+    } else if (file && line.startsWith("-")) {
+      file.removed++;
+    }
+  }
+  return files;
+}
+
+function describePatchFile(file) {
+  const path = file.movedTo ? `${file.path} → ${file.movedTo}` : file.path;
+  if (file.action === "delete") return `${path} (deleted)`;
+  return `${path} (${file.action === "add" ? "added, " : ""}+${file.added} -${file.removed})`;
+}
+
+// The last (or first) `count` lines of `text`, noting how many were left out
+function clipLines(text, count, keep = "end") {
+  const lines = text.replace(/\n$/, "").split("\n");
+  if (lines.length <= count) return lines.join("\n");
+  if (keep === "start") {
+    return `${lines.slice(0, count).join("\n")}\n… ${lines.length - count} more line(s) omitted …`;
+  }
+  return `… ${lines.length - count} earlier line(s) omitted …\n${lines.slice(-count).join("\n")}`;
+}
+
+function formatSessionTurn(turn, { outputLines, includePatches }) {
+  const time = turn.timestamp ? ` (${turn.timestamp.slice(0, 19).replace("T", " ")})` : "";
+  let output = `### Turn ${turn.index}${time}\n\n`;
+  if (turn.user !== null) {
+    output += `**User:**${turn.images > 0 ? ` (${turn.images} image(s))` : ""}\n\n${turn.user.replace(/^/gm, "> ")}\n\n`;
+  }
+  for (const item of turn.items) {
+    if (item.kind === "message") {
+      output += `**Codex:**\n\n${item.text}\n\n`;
+    } else if (item.kind === "command") {
+      const status = [item.exitCode != null && `exit ${item.exitCode}`, item.durationSeconds != null && `${item.durationSeconds}s`].filter(Boolean).join(", ");
+      output += `**Command:** \`${item.command.replace(/\s*\n\s*/g, " ⏎ ")}\`${status ? ` (${status})` : ""}\n`;
+      if (item.output) {
+        const text = clipLines(item.output, outputLines);
+        const fence = fenceFor(text);
+        output += `${fence}\n${text}\n${fence}\n`;
+      }
+      output += `\n`;
+    } else if (item.kind === "edit") {
+      const failed = item.exitCode != null && item.exitCode !== 0;
+      output += `**Edited:** ${item.files.map(describePatchFile).join(", ") || "(no files)"}${failed ? ` (failed: ${(item.output || "").split("\n")[0]})` : ""}\n`;
+      if (includePatches) {
+        const text = clipLines(item.patch, outputLines, "start");
+        const fence = fenceFor(text);
+        output += `${fence}diff\n${text}\n${fence}\n`;
+      }
+      output += `\n`;
+    } else if (item.kind === "tool") {
+      const input = String(item.input).replace(/\s+/g, " ");
+      output += `**Tool:** ${item.name}${input && input !== "{}" ? ` ${input.slice(0, 200)}${input.length > 200 ? "..." : ""}` : ""}\n\n`;
+    } else if (item.kind === "note") {
+      output += `_${item.text}_\n\n`;
+    }
+  }
+  return output;
+}
+
+async function handleCodexSessionShow(args) {
+  const mode = args.mode || "transcript";
+  if (!SESSION_SHOW_MODES.includes(mode)) {
+    return {
+      content: [{ type: "text", text: `Unknown mode: ${mode} (expected one of ${SESSION_SHOW_MODES.join(", ")})` }],
+      isError: true,
+    };
+  }
+
+  let sessionId = args.sessionId;
+  if (!sessionId && args.taskId) {
+    const taskRecord = tasks.get(args.taskId);
+    sessionId = taskRecord?.codexSessionId || taskRecord?.resumedFromSession;
+    if (!sessionId) {
+      return {
+        content: [{ type: "text", text: taskRecord ? `Task ${args.taskId} has no Codex session yet` : `Task not found: ${args.taskId}` }],
+        isError: true,
+      };
+    }
+  }
+  if (!sessionId) {
+    return {
+      content: [{ type: "text", text: "Pass sessionId (from codex_list_sessions) or taskId" }],
+      isError: true,
+    };
+  }
+
+  const path = await findSessionFile(sessionId);
+  if (!path) {
+    return {
+      content: [{ type: "text", text: `Session not found: ${sessionId} (looked in ${SESSIONS_DIR})` }],
+      isError: true,
+    };
+  }
+  const session = await readSessionTranscript(path);
+  const { meta, turns } = session;
+
+  let output = `## Codex Session\n\n`;
+  output += `**Session ID:** ${meta?.id || sessionId}\n`;
+  output += `**Directory:** ${meta?.cwd || "(unknown)"}\n`;
+  if (meta?.timestamp) output += `**Started:** ${meta.timestamp}\n`;
+  if (session.models.size > 0) output += `**Model:** ${[...session.models].join(", ")}\n`;
+  if (meta?.cli_version) output += `**Codex version:** ${meta.cli_version}\n`;
+  output += `**Turns:** ${turns.length}\n`;
+  const linked = findSessionTasks(meta?.id || sessionId);
+  if (linked.length > 0) output += `**Connector tasks:** ${describeSessionTasks(linked)}\n`;
+  if (session.tokens) {
+    output += `**Tokens:** ${formatTokens(session.tokens.input_tokens || 0)} in (${formatTokens(session.tokens.cached_input_tokens || 0)} cached), ${formatTokens(session.tokens.output_tokens || 0)} out\n`;
+  }
+  output += `**File:** ${path}\n`;
+  if (session.unparsed > 0) output += `**Unreadable lines:** ${session.unparsed} of ${session.lines}\n`;
+  output += `\n`;
+
+  if (turns.length === 0) {
+    output += `The session has no turns yet.\n`;
+    return { content: [{ type: "text", text: output }] };
+  }
+
+  if (mode === "summary") {
+    output += `| # | Time | User | Commands | Edited | Last message |\n`;
+    output += `|---|------|------|----------|--------|--------------|\n`;
+    const cell = (text, length) => {
+      const flat = (text || "").replace(/\s+/g, " ").trim();
+      return (flat.length > length ? `${flat.slice(0, length)}...` : flat).replace(/\|/g, "\\|") || "-";
+    };
+    for (const turn of turns) {
+      const commands = turn.items.filter((i) => i.kind === "command");
+      const failed = commands.filter((i) => i.exitCode != null && i.exitCode !== 0).length;
+      const edited = [...new Set(turn.items.filter((i) => i.kind === "edit").flatMap((i) => i.files.map((f) => f.path)))];
+      const lastMessage = turn.items.filter((i) => i.kind === "message").pop()?.text;
+      output += `| ${turn.index} | ${turn.timestamp ? turn.timestamp.slice(11, 19) : "-"} | ${cell(turn.user, 80)} | ` +
+        `${commands.length}${failed > 0 ? ` (${failed} failed)` : ""} | ${cell(edited.join(", "), 60)} | ${cell(lastMessage, 80)} |\n`;
+    }
+    output += `\nUse mode "turn" with a turn number to read one turn in full.\n`;
+    return { content: [{ type: "text", text: output }] };
+  }
+
+  if (mode === "turn") {
+    const index = args.turn ?? -1;
+    const turn = turns[index < 0 ? turns.length + index : index - 1];
+    if (!turn) {
+      return {
+        content: [{ type: "text", text: `No turn ${index}; the session has ${turns.length} turn(s)` }],
+        isError: true,
+      };
     }
+    output += formatSessionTurn(turn, { outputLines: args.outputLines || 200, includePatches: true });
+    return { content: [{ type: "text", text: output }] };
+  }
+
+  // Transcript: a page of turns
+  const limit = Math.max(args.limit || 5, 1);
+  const from = Math.min(Math.max(args.fromTurn || 1, 1), turns.length);
+  const page = turns.slice(from - 1, from - 1 + limit);
+  const to = from + page.length - 1;
+  output += `Showing turn(s) ${from}-${to} of ${turns.length}.\n\n`;
+  for (const turn of page) {
+    output += formatSessionTurn(turn, { outputLines: args.outputLines || 20, includePatches: false });
+  }
+  if (to < turns.length) {
+    output += `---\nMore turns follow: call again with fromTurn ${to + 1}.\n`;
+  }
+  return { content: [{ type: "text", text: output }] };
+}
+
+async function handleCodexEvents(args) {
+  const taskId = args.taskId;
+  const types = args.types && args.types.length > 0 ? args.types : null;
+  const limit = args.limit || 100;
+  const includeOutput = args.includeOutput || false;
+
+  const taskRecord = tasks.get(taskId);
+  if (!taskRecord) {
+    return {
+      content: [{ type: "text", text: `Task not found: ${taskId}` }],
+      isError: true,
+    };
+  }
+
+  const since = args.since ? new Date(args.since).getTime() : null;
+  const until = args.until ? new Date(args.until).getTime() : null;
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    return {
+      content: [{ type: "text", text: `Invalid time range: since/until must be ISO timestamps` }],
+      isError: true,
+    };
+  }
+
+  const allEvents = await readTaskEvents(taskRecord);
+  let events = allEvents;
+  if (types) {
+    events = events.filter((e) => types.includes(e.type));
+  }
+  if (since !== null || until !== null) {
+    // Events without timestamps (parsed from legacy logs) can't match a time range
+    events = events.filter((e) => {
+      if (!e.timestamp) return false;
+      const t = new Date(e.timestamp).getTime();
+      return (since === null || t >= since) && (until === null || t <= until);
+    });
+  }
+  const matched = events.length;
+  events = events.slice(-limit);
+
+  let output = `## Codex Task Events\n\n`;
+  output += `**Task ID:** ${taskId}\n`;
+  output += `**Status:** ${taskRecord.status}\n`;
+  output += `**Events:** ${matched} matched of ${allEvents.length} total`;
+  output += matched > events.length ? ` (showing last ${events.length})\n` : `\n`;
+
+  // Per-type counts over the whole timeline
+  const counts = {};
+  for (const e of allEvents) counts[e.type] = (counts[e.type] || 0) + 1;
+  if (allEvents.length > 0) {
+    output += `**By type:** ${Object.entries(counts).map(([t, n]) => `${t}=${n}`).join(", ")}\n`;
+  }
+  if (taskRecord.filesTouched && taskRecord.filesTouched.length > 0) {
+    output += `**Files touched:** ${taskRecord.filesTouched.join(", ")}\n`;
+  }
+
+  if (events.length === 0) {
+    output += `\nNo matching events.\n`;
+    return {
+      content: [{ type: "text", text: output }],
+    };
+  }
 
-    taskRecord.heartbeatCount++;
-    const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
-    const lastActivity = Date.now() - new Date(taskRecord.lastActivityAt).getTime();
-
-    const heartbeatMsg = `[${new Date().toISOString()}] HEARTBEAT #${taskRecord.heartbeatCount}: ` +
-      `elapsed=${formatDuration(elapsed)}, ` +
-      `lastActivity=${formatDuration(lastActivity)} ago (${taskRecord.lastActivityType}), ` +
-      `stdout=${taskRecord.stdoutBytes}B, stderr=${taskRecord.stderrBytes}B\n`;
-
-    await appendFile(logFile, heartbeatMsg);
-
-    // Send progress notification to Claude
-    await sendProgress(taskId, `Task still running (${formatDuration(elapsed)} elapsed)`, {
-      status: "running",
-      elapsed: formatDuration(elapsed),
-      heartbeat: taskRecord.heartbeatCount,
-      stdoutBytes: taskRecord.stdoutBytes,
-      stderrBytes: taskRecord.stderrBytes,
-      lastActivity: `${formatDuration(lastActivity)} ago`,
-      lastActivityType: taskRecord.lastActivityType,
-      recentOutput: taskRecord.lastOutputSnippet.slice(-100),
-    });
+  output += `\n| # | Time | Type | Detail |\n`;
+  output += `|---|------|------|--------|\n`;
+  for (const e of events) {
+    const time = e.timestamp ? e.timestamp.slice(11, 19) : "-";
+    const detail = describeEvent(e).replace(/\|/g, "\\|").replace(/\n/g, " ");
+    output += `| ${e.seq} | ${time} | ${e.type} | ${detail} |\n`;
+  }
 
-    // Warn if no activity for 2+ minutes
-    if (lastActivity > 120000) {
-      await appendFile(logFile, `[${new Date().toISOString()}] WARNING: No activity for ${formatDuration(lastActivity)}\n`);
-      await sendProgress(taskId, `Warning: No activity for ${formatDuration(lastActivity)}`, {
-        status: "possibly_stalled",
-        elapsed: formatDuration(elapsed),
-        lastActivity: formatDuration(lastActivity),
-      });
+  if (includeOutput) {
+    const detailed = events.filter((e) => e.type === "command" || e.type === "agent_message" || e.type === "reasoning");
+    if (detailed.length > 0) {
+      output += `\n### Details\n`;
+      for (const e of detailed) {
+        if (e.type === "command") {
+          output += `\n**#${e.seq} \`${e.command}\`** (exit ${e.exitCode ?? "?"})\n\`\`\`\n${e.output || "(no output)"}\n\`\`\`\n`;
+        } else {
+          output += `\n**#${e.seq} ${e.type}**\n${e.text}\n`;
+        }
+      }
     }
+  }
 
-    await saveTasks();
-  }, 30000); // Every 30 seconds
+  return {
+    content: [{ type: "text", text: output }],
+  };
+}
 
-  // Set up timeout if specified
-  let timeout = null;
-  if (timeoutMs > 0) {
-    timeout = setTimeout(async () => {
-      const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
-      taskRecord.failureReason = `Timeout after ${formatDuration(elapsed)} (limit: ${formatDuration(timeoutMs)})`;
+async function handleCodexTail(args, extra) {
+  const taskId = args.taskId;
+  const source = args.source || "log";
+  const maxBytes = Math.max(args.maxBytes || TAIL_DEFAULT_BYTES, 256);
+  const waitMs = Math.min(args.waitMs || 0, TAIL_MAX_WAIT_MS);
 
-      await appendFile(logFile, `\n${"!".repeat(60)}\n`);
-      await appendFile(logFile, `[${new Date().toISOString()}] TIMEOUT: Killing process after ${formatDuration(timeoutMs)}\n`);
-      await appendFile(logFile, `${"!".repeat(60)}\n`);
+  let taskRecord = tasks.get(taskId);
+  if (!taskRecord) {
+    return {
+      content: [{ type: "text", text: `Task not found: ${taskId}` }],
+      isError: true,
+    };
+  }
+  if (!TAIL_SOURCES.includes(source)) {
+    return {
+      content: [{ type: "text", text: `Unknown source: ${source} (expected one of ${TAIL_SOURCES.join(", ")})` }],
+      isError: true,
+    };
+  }
+  if ((source === "stdout" || source === "stderr") && !taskRecord[`${source}File`]) {
+    return {
+      content: [{ type: "text", text: `Task ${taskId} has no separate ${source} file (it predates raw output files); use source "log"` }],
+      isError: true,
+    };
+  }
+  let pattern = null;
+  if (args.grep) {
+    try {
+      pattern = new RegExp(args.grep, args.ignoreCase ? "i" : "");
+    } catch (err) {
+      return {
+        content: [{ type: "text", text: `Invalid grep pattern: ${err.message}` }],
+        isError: true,
+      };
+    }
+  }
 
-      await sendProgress(taskId, `Task timeout - killing process`, {
-        status: "timeout",
-        elapsed: formatDuration(elapsed),
-        limit: formatDuration(timeoutMs),
-      });
+  // Read from the cursor; with nothing new (or nothing matching), wait for
+  // more output until waitMs runs out or the task finishes
+  const began = Date.now();
+  const deadline = began + waitMs;
+  let cursor = args.cursor ?? null;
+  let waited = false;
+  let chunk;
+  for (;;) {
+    const final = !isTaskPending(taskRecord);
+    chunk = source === "events"
+      ? await readEventChunk(taskRecord, cursor, maxBytes)
+      : await readLineChunk(taskRecord[source === "log" ? "logFile" : `${source}File`], cursor, maxBytes, final);
+    cursor = chunk.next;
+    chunk.matched = pattern ? chunk.lines.filter((line) => pattern.test(line)) : chunk.lines;
+    const remaining = deadline - Date.now();
+    if (chunk.matched.length > 0 || remaining <= 0 || extra?.signal?.aborted) break;
+    // Nothing matched yet: keep scanning what's there, then wait for more
+    if (chunk.more) continue;
+    if (final) break;
+
+    waited = true;
+    await new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        taskEvents.off("update", onUpdate);
+        extra?.signal?.removeEventListener("abort", done);
+        resolve();
+      };
+      const onUpdate = (id) => {
+        if (id === taskId) done();
+      };
+      // Raw output lands in its file before the task record changes, and
+      // another instance's task changes without telling us, so poll as well
+      const timer = setTimeout(done, Math.min(OUTPUT_POLL_MS, remaining));
+      taskEvents.on("update", onUpdate);
+      extra?.signal?.addEventListener("abort", done, { once: true });
+    });
+    if (isOwnedElsewhere(taskRecord)) {
+      await refreshTasks();
+      taskRecord = tasks.get(taskId) || taskRecord;
+    }
+  }
 
-      codex.kill("SIGTERM");
-      setTimeout(() => {
-        if (taskRecord.status === "running") {
-          codex.kill("SIGKILL");
-        }
-      }, 5000);
-    }, timeoutMs);
+  const unit = source === "events" ? "events" : "bytes";
+  let output = `## Codex Tail\n\n`;
+  output += `**Task ID:** ${taskId}\n`;
+  output += `**Status:** ${taskRecord.status}\n`;
+  output += `**Source:** ${source}, ${unit} ${chunk.start}-${chunk.next} of ${chunk.end}\n`;
+  output += `**Next cursor:** ${chunk.next}\n`;
+  if (pattern) {
+    output += `**Filter:** \`${pattern}\`, ${chunk.matched.length} of ${chunk.lines.length} line(s) matched\n`;
   }
 
-  // Handle completion
-  const completionPromise = new Promise((resolve) => {
-    codex.on("close", async (code, signal) => {
-      clearInterval(heartbeatInterval);
-      if (timeout) clearTimeout(timeout);
-      activeProcesses.delete(taskId);
+  if (chunk.matched.length > 0) {
+    output += `\n\`\`\`\n${chunk.matched.join("\n")}\n\`\`\`\n`;
+  } else {
+    output += `\nNo ${chunk.lines.length > 0 ? "matching" : "new"} output${waited ? ` after waiting ${formatDuration(Date.now() - began)}` : ""}.\n`;
+  }
 
-      const endTime = new Date().toISOString();
-      const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
+  if (chunk.more) {
+    output += `\n> More output is available: call codex_tail again with cursor ${chunk.next}.\n`;
+  } else if (!isTaskPending(taskRecord)) {
+    output += `\n> Task ${taskRecord.status}; this is the end of its output.\n`;
+  } else {
+    output += `\n> Task still ${taskRecord.status}. Call codex_tail with cursor ${chunk.next} (and waitMs to long-poll) for what comes next.\n`;
+  }
 
-      // Determine failure reason
-      let failureReason = taskRecord.failureReason; // May already be set by timeout
-      const signalName = signal || getSignalName(code);
-
-      if (!failureReason) {
-        if (signal) {
-          failureReason = `Killed by signal: ${signal}`;
-        } else if (signalName && code !== 0) {
-          failureReason = `Killed by ${signalName} (exit code ${code})`;
-        } else if (code !== 0) {
-          failureReason = `Exited with code ${code}`;
-        }
-      }
+  return {
+    content: [{ type: "text", text: output }],
+  };
+}
 
-      // Write detailed exit info
-      await appendFile(logFile, `\n${"=".repeat(60)}\n`);
-      await appendFile(logFile, `[${endTime}] TASK ${code === 0 ? "COMPLETED" : "FAILED"}\n`);
-      await appendFile(logFile, `${"=".repeat(60)}\n`);
-      await appendFile(logFile, `Exit code: ${code}\n`);
-      await appendFile(logFile, `Exit signal: ${signal || signalName || "none"}\n`);
-      await appendFile(logFile, `Duration: ${formatDuration(elapsed)}\n`);
-      await appendFile(logFile, `Total stdout: ${taskRecord.stdoutBytes} bytes\n`);
-      await appendFile(logFile, `Total stderr: ${taskRecord.stderrBytes} bytes\n`);
-      await appendFile(logFile, `Heartbeats: ${taskRecord.heartbeatCount}\n`);
-      if (failureReason) {
-        await appendFile(logFile, `Failure reason: ${failureReason}\n`);
-      }
-      await appendFile(logFile, `${"=".repeat(60)}\n`);
+// Whole lines of a file from byte `cursor`, at most about `maxBytes` of them.
+// Without a cursor, the lines in the last `maxBytes` of the file. A partial
+// last line is left for the next call unless the task has finished.
+async function readLineChunk(file, cursor, maxBytes, final) {
+  const end = (await stat(file).catch(() => null))?.size ?? 0;
+  const start = Math.min(cursor ?? Math.max(end - maxBytes, 0), end);
+  const data = await readRange(file, start, Math.min(maxBytes, end - start));
+
+  // Without a cursor, skip the partial line we started in
+  let skip = 0;
+  if (cursor == null && start > 0) {
+    const newline = data.indexOf(0x0a);
+    if (newline >= 0) skip = newline + 1;
+  }
+  let stop = data.length;
+  if (!(final && start + data.length === end)) {
+    const newline = data.lastIndexOf(0x0a);
+    if (newline >= skip) stop = newline + 1;
+    // A line still being written; a line longer than maxBytes comes in pieces
+    else if (data.length < maxBytes) stop = skip;
+  }
 
-      logStream.end();
+  const text = data.subarray(skip, stop).toString();
+  const lines = text ? text.replace(/\n$/, "").split("\n") : [];
+  // More to read than fitted in maxBytes (a partial last line doesn't count)
+  const more = start + data.length < end;
+  return { start: start + skip, next: start + stop, end, lines, more };
+}
 
-      // Read result file
-      let result = null;
-      try {
-        result = await readFile(resultFile, "utf-8");
-        await appendFile(logFile, `\nResult file found (${result.length} bytes)\n`);
-      } catch (err) {
-        await appendFile(logFile, `\nNo result file: ${err.code}\n`);
-      }
+// Timeline events after sequence number `cursor`, one line each, up to about
+// `maxBytes`. Without a cursor, the most recent events that fit.
+async function readEventChunk(taskRecord, cursor, maxBytes) {
+  const events = await readTaskEvents(taskRecord);
+  const end = events.length > 0 ? events[events.length - 1].seq : 0;
+  const format = (e) => `#${e.seq} ${e.timestamp ? e.timestamp.slice(11, 19) : "-"} ${e.type}: ${describeEvent(e).replace(/\n/g, " ")}`;
+
+  const picked = [];
+  let bytes = 0;
+  if (cursor == null) {
+    for (let i = events.length - 1; i >= 0; i--) {
+      const line = format(events[i]);
+      if (picked.length > 0 && bytes + line.length > maxBytes) break;
+      picked.unshift({ seq: events[i].seq, line });
+      bytes += line.length + 1;
+    }
+  } else {
+    for (const e of events) {
+      if (e.seq <= cursor) continue;
+      const line = format(e);
+      if (picked.length > 0 && bytes + line.length > maxBytes) break;
+      picked.push({ seq: e.seq, line });
+      bytes += line.length + 1;
+    }
+  }
 
-      // Update task record
-      taskRecord.status = code === 0 ? "completed" : "failed";
-      taskRecord.exitCode = code;
-      taskRecord.exitSignal = signal || signalName;
-      taskRecord.completedAt = endTime;
-      taskRecord.duration = elapsed;
-      taskRecord.durationFormatted = formatDuration(elapsed);
-      taskRecord.result = result;
-      taskRecord.pid = null;
-      if (failureReason) taskRecord.failureReason = failureReason;
-
-      // Send completion notification
-      await sendProgress(taskId, `Task ${code === 0 ? "completed" : "failed"}`, {
-        status: taskRecord.status,
-        duration: formatDuration(elapsed),
-        exitCode: code,
-        exitSignal: taskRecord.exitSignal,
-        failureReason,
-      });
+  const start = picked.length > 0 ? picked[0].seq - 1 : Math.min(cursor ?? end, end);
+  const next = picked.length > 0 ? picked[picked.length - 1].seq : start;
+  return { start, next, end, lines: picked.map((p) => p.line), more: next < end };
+}
 
-      // Update debug file
-      await writeFile(debugFile, JSON.stringify(taskRecord, null, 2));
-      await saveTasks();
+async function handleCodexDiff(args) {
+  const taskId = args.taskId;
+  const format = args.format || "stat";
+  const file = args.file || null;
 
-      resolve({
-        status: taskRecord.status,
-        exitCode: code,
-        exitSignal: taskRecord.exitSignal,
-        duration: elapsed,
-        durationFormatted: formatDuration(elapsed),
-        failureReason,
-        result,
-      });
-    });
+  const taskRecord = tasks.get(taskId);
+  if (!taskRecord) {
+    return {
+      content: [{ type: "text", text: `Task not found: ${taskId}` }],
+      isError: true,
+    };
+  }
 
-    codex.on("error", async (err) => {
-      clearInterval(heartbeatInterval);
-      if (timeout) clearTimeout(timeout);
-      activeProcesses.delete(taskId);
+  if (!taskRecord.diffStats) {
+    let reason;
+    if (isTaskPending(taskRecord)) {
+      reason = `Task is still ${taskRecord.status}; the diff is computed when it finishes.`;
+    } else if (taskRecord.gitError) {
+      reason = taskRecord.gitError;
+    } else {
+      reason = "No diff was recorded for this task.";
+    }
+    return {
+      content: [{ type: "text", text: `No diff available for task ${taskId}: ${reason}` }],
+      isError: !isTaskPending(taskRecord),
+    };
+  }
 
-      const endTime = new Date().toISOString();
-      const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
-      const failureReason = `Process error: ${err.message} (${err.code || "unknown"})`;
+  let output = `## Codex Task Diff\n\n`;
+  output += `**Task ID:** ${taskId}\n`;
+  output += `**Working directory:** ${taskRecord.workingDirectory}\n`;
+  output += `**Base:** HEAD ${taskRecord.gitBefore.head || "(none)"}\n`;
+  if (taskRecord.gitAfter.head !== taskRecord.gitBefore.head) {
+    output += `**HEAD after task:** ${taskRecord.gitAfter.head || "(none)"}\n`;
+  }
+  output += `**Changes:** ${formatDiffStats(taskRecord.diffStats)}\n`;
+
+  if (file || format === "patch") {
+    let patch;
+    try {
+      patch = await readFile(taskRecord.diffFile, "utf-8");
+    } catch (err) {
+      return {
+        content: [{ type: "text", text: `Could not read diff file ${taskRecord.diffFile}: ${err.code}` }],
+        isError: true,
+      };
+    }
+    if (file) {
+      patch = extractFilePatch(patch, file);
+      if (!patch) {
+        return {
+          content: [{ type: "text", text: `File not changed by task ${taskId}: ${file}` }],
+          isError: true,
+        };
+      }
+    }
+    output += `\n\`\`\`diff\n${patch || "(empty diff)"}\n\`\`\`\n`;
+  } else if (taskRecord.diffFiles.length > 0) {
+    output += `\n| File | Status | + | - |\n`;
+    output += `|------|--------|---|---|\n`;
+    for (const f of taskRecord.diffFiles) {
+      const name = f.oldPath ? `${f.oldPath} → ${f.path}` : f.path;
+      output += `| ${name} | ${f.status}${f.binary ? " (binary)" : ""} | ${f.additions} | ${f.deletions} |\n`;
+    }
+    output += `\nUse \`file\` to see the patch for one file, or \`format: "patch"\` for the full diff.\n`;
+  }
 
-      await appendFile(logFile, `\n${"!".repeat(60)}\n`);
-      await appendFile(logFile, `[${endTime}] PROCESS ERROR\n`);
-      await appendFile(logFile, `${"!".repeat(60)}\n`);
-      await appendFile(logFile, `Error: ${err.message}\n`);
-      await appendFile(logFile, `Code: ${err.code || "unknown"}\n`);
-      await appendFile(logFile, `Duration: ${formatDuration(elapsed)}\n`);
-      await appendFile(logFile, `${"!".repeat(60)}\n`);
+  output += `\n---\n**Diff file:** ${taskRecord.diffFile}\n`;
 
-      logStream.end();
+  return {
+    content: [{ type: "text", text: output }],
+  };
+}
 
-      // Send error notification
-      await sendProgress(taskId, `Task error: ${err.message}`, {
-        status: "failed",
-        error: err.message,
-        errorCode: err.code,
-        duration: formatDuration(elapsed),
-      });
+// Look up a task whose worktree can be applied or discarded, or return an error.
+// A worktree kept after codex_apply (cleanup: false) can still be discarded.
+function getWorktreeTask(taskId, { allowApplied = false } = {}) {
+  const taskRecord = tasks.get(taskId);
+  if (!taskRecord) {
+    return { error: `Task not found: ${taskId}` };
+  }
+  if (isTaskPending(taskRecord)) {
+    return { error: `Task ${taskId} is still ${taskRecord.status}; wait for it or cancel it first` };
+  }
+  if (!taskRecord.worktree) {
+    return { error: `Task ${taskId} was not run with worktree isolation` };
+  }
+  const { state, removed } = taskRecord.worktree;
+  if (state === "discarded" || (state === "applied" && (!allowApplied || removed))) {
+    return { error: `Worktree for task ${taskId} was already ${state}` };
+  }
+  return { taskRecord };
+}
 
-      taskRecord.status = "failed";
-      taskRecord.error = err.message;
-      taskRecord.failureReason = failureReason;
-      taskRecord.completedAt = endTime;
-      taskRecord.duration = elapsed;
-      taskRecord.durationFormatted = formatDuration(elapsed);
-      taskRecord.pid = null;
+async function handleCodexApply(args) {
+  const taskId = args.taskId;
+  const mode = args.mode || "merge";
+  const cleanup = args.cleanup !== false;
 
-      await writeFile(debugFile, JSON.stringify(taskRecord, null, 2));
-      await saveTasks();
+  const { taskRecord, error } = getWorktreeTask(taskId);
+  if (error) {
+    return {
+      content: [{ type: "text", text: error }],
+      isError: true,
+    };
+  }
+  const wt = taskRecord.worktree;
 
-      resolve({
-        status: "failed",
-        error: err.message,
-        failureReason,
-        duration: elapsed,
-        durationFormatted: formatDuration(elapsed),
-      });
-    });
-  });
+  // Pick up anything left uncommitted (e.g. an interrupted task)
+  if (existsSync(wt.path)) {
+    const commit = await commitTaskWorktree(wt, `codex: uncommitted changes from task ${taskId}`);
+    if (commit) wt.commit = commit;
+  }
 
-  if (asyncMode) {
-    // Return immediately with task ID
+  const commits = await git(wt.repoRoot, ["rev-list", "--reverse", `${wt.baseHead}..${wt.branch}`]);
+  if (!commits) {
     return {
-      content: [
-        {
-          type: "text",
-          text: `## Codex Task Started (Async)\n\n` +
-            `**Task ID:** \`${taskId}\`\n` +
-            `**PID:** ${codex.pid}\n` +
-            `**Status:** running\n` +
-            `**Session ID:** (will be available in status once captured)\n` +
-            `**Log file:** ${logFile}\n\n` +
-            `### Next Steps\n\n` +
-            `If user requested **monitoring subagent**, spawn one now:\n` +
-            `- Use Task tool with \`subagent_type: "general-purpose"\`, \`run_in_background: true\`\n` +
-            `- Prompt: "Call codex_wait with taskId='${taskId}' and report results when complete."\n\n` +
-            `If user requested **manual status checks**, inform them they can use:\n` +
-            `- \`codex_status\` to check progress\n` +
-            `- \`codex_cancel\` to stop the task\n\n` +
-            `> Progress notifications will be sent every 30 seconds while the task runs.`,
-        },
-      ],
+      content: [{ type: "text", text: `Task ${taskId} made no changes on ${wt.branch}; nothing to apply. Use codex_discard to clean up.` }],
     };
-  } else {
-    // Wait for completion
-    const result = await completionPromise;
+  }
+
+  const targetBranch = await git(wt.repoRoot, ["rev-parse", "--abbrev-ref", "HEAD"]);
+  const identity = await gitIdentityArgs(wt.repoRoot);
+  try {
+    if (mode === "cherry-pick") {
+      await git(wt.repoRoot, [...identity, "cherry-pick", ...commits.split("\n")]);
+    } else {
+      await git(wt.repoRoot, [...identity, "merge", "--no-ff", "--no-edit", "-m", `Merge codex task ${taskId} (${wt.branch})`, wt.branch]);
+    }
+  } catch (err) {
+    const conflicts = await git(wt.repoRoot, ["diff", "--name-only", "--diff-filter=U"]).catch(() => "");
+    await git(wt.repoRoot, [mode === "cherry-pick" ? "cherry-pick" : "merge", "--abort"]).catch(() => {});
+    let text = `Failed to ${mode} ${wt.branch} into ${targetBranch}; the operation was aborted and ${wt.repoRoot} is unchanged.\n\n`;
+    if (conflicts) {
+      text += `Conflicting files:\n${conflicts.split("\n").map((f) => `- ${f}`).join("\n")}\n`;
+    } else {
+      text += `\`\`\`\n${err.message.trim()}\n\`\`\`\n`;
+    }
+    text += `\nThe worktree is still at ${wt.path}.`;
     return {
-      content: [
-        {
-          type: "text",
-          text: formatResult(taskId, taskRecord, result),
-        },
-      ],
+      content: [{ type: "text", text }],
+      isError: true,
     };
   }
+
+  const appliedHead = await git(wt.repoRoot, ["rev-parse", "HEAD"]);
+  wt.state = "applied";
+  wt.appliedMode = mode;
+  wt.appliedTo = targetBranch;
+  wt.appliedHead = appliedHead;
+  wt.updatedAt = new Date().toISOString();
+  if (cleanup) {
+    await removeTaskWorktree(wt);
+    wt.removed = true;
+  }
+  await saveTasks();
+  await appendFile(taskRecord.logFile, `[${new Date().toISOString()}] APPLIED: ${mode} of ${wt.branch} into ${targetBranch} (${appliedHead})\n`).catch(() => {});
+
+  let output = `## Codex Task Applied\n\n`;
+  output += `**Task ID:** ${taskId}\n`;
+  output += `**Mode:** ${mode}\n`;
+  output += `**Into:** ${targetBranch} in ${wt.repoRoot}\n`;
+  output += `**Commits:** ${commits.split("\n").length}\n`;
+  output += `**HEAD:** ${appliedHead}\n`;
+  output += cleanup
+    ? `\nWorktree and branch ${wt.branch} removed.\n`
+    : `\nWorktree kept at ${wt.path} (branch ${wt.branch}). Use codex_discard to remove it.\n`;
+
+  return {
+    content: [{ type: "text", text: output }],
+  };
 }
 
-async function handleCodexStatus(args) {
+async function handleCodexDiscard(args) {
   const taskId = args.taskId;
-  const tailLines = args.tailLines || 50;
 
-  const taskRecord = tasks.get(taskId);
-  if (!taskRecord) {
+  const { taskRecord, error } = getWorktreeTask(taskId, { allowApplied: true });
+  if (error) {
     return {
-      content: [{ type: "text", text: `Task not found: ${taskId}` }],
+      content: [{ type: "text", text: error }],
       isError: true,
     };
   }
+  const wt = taskRecord.worktree;
 
-  // Calculate elapsed/duration
-  const startTime = new Date(taskRecord.startedAt).getTime();
-  const endTime = taskRecord.completedAt ? new Date(taskRecord.completedAt).getTime() : Date.now();
-  const elapsed = endTime - startTime;
-  const lastActivity = taskRecord.lastActivityAt
-    ? Date.now() - new Date(taskRecord.lastActivityAt).getTime()
-    : null;
+  await removeTaskWorktree(wt);
+  if (wt.state !== "applied") wt.state = "discarded";
+  wt.removed = true;
+  wt.updatedAt = new Date().toISOString();
+  await saveTasks();
+  await appendFile(taskRecord.logFile, `[${new Date().toISOString()}] DISCARDED: removed worktree ${wt.path} and branch ${wt.branch}\n`).catch(() => {});
 
-  // Read recent log lines
-  let recentLogs = "";
-  try {
-    const fullLog = await readFile(taskRecord.logFile, "utf-8");
-    const lines = fullLog.split("\n");
-    recentLogs = lines.slice(-tailLines).join("\n");
-  } catch {
-    recentLogs = "(no logs yet)";
+  return {
+    content: [{ type: "text", text: `Removed worktree ${wt.path} and branch ${wt.branch} for task ${taskId}.` }],
+  };
+}
+
+// Pick the tasks a set of retention rules would delete. A task is pruned when
+// its status is one of `statuses` and it is older than `maxAgeDays` or falls
+// outside the newest `maxTasks`. Tasks still in use are reported as skipped.
+function selectPrunableTasks({ maxAgeDays, maxTasks, statuses = FINISHED_STATUSES, taskIds }) {
+  const finishedAt = (t) => new Date(t.completedAt || t.startedAt || t.queuedAt || 0).getTime();
+  let candidates = Array.from(tasks.values())
+    .filter((t) => statuses.includes(t.status))
+    .sort((a, b) => finishedAt(b) - finishedAt(a));
+
+  if (taskIds) {
+    candidates = candidates.filter((t) => taskIds.includes(t.id));
+  } else {
+    const cutoff = maxAgeDays !== undefined ? Date.now() - maxAgeDays * 86400000 : null;
+    candidates = candidates.filter((t, i) =>
+      (cutoff !== null && finishedAt(t) < cutoff) || (maxTasks !== undefined && i >= maxTasks));
   }
 
-  let output = `## Codex Task Status\n\n`;
-  output += `**Task ID:** ${taskId}\n`;
-  if (taskRecord.codexSessionId) {
-    output += `**Session ID:** ${taskRecord.codexSessionId}\n`;
+  const prune = [];
+  const skipped = [];
+  for (const t of candidates) {
+    const pipeline = t.pipelineId ? pipelines.get(t.pipelineId) : null;
+    if (t.worktree && ["active", "ready", "interrupted"].includes(t.worktree.state)) {
+      skipped.push({ task: t, reason: `worktree is ${t.worktree.state}; apply or discard it first` });
+    } else if (pipeline && pipeline.status === "running") {
+      skipped.push({ task: t, reason: `pipeline ${pipeline.id} is still running` });
+    } else {
+      prune.push(t);
+    }
   }
-  output += `**Status:** ${taskRecord.status}\n`;
-  output += `**Task:** ${taskRecord.task.slice(0, 100)}${taskRecord.task.length > 100 ? '...' : ''}\n`;
-  output += `**Started:** ${taskRecord.startedAt}\n`;
+  return { prune, skipped };
+}
 
-  if (taskRecord.status === "running") {
-    output += `**Elapsed:** ${formatDuration(elapsed)}\n`;
-    output += `**PID:** ${taskRecord.pid}\n`;
-    if (lastActivity !== null) {
-      output += `**Last activity:** ${formatDuration(lastActivity)} ago (${taskRecord.lastActivityType})\n`;
+// Delete task records along with their files in the logs directory
+async function pruneTasks(taskRecords) {
+  let files = 0;
+  let bytes = 0;
+  for (const t of taskRecords) {
+    const paths = [t.logFile, t.resultFile, t.debugFile, t.eventsFile, t.diffFile, t.stdoutFile, t.stderrFile, t.outputSchemaFile, t.promptFile, join(LOGS_DIR, `${t.id}.index`)];
+    for (const path of paths.filter(Boolean)) {
+      const info = await stat(path).catch(() => null);
+      if (!info) continue;
+      await rm(path, { force: true });
+      files++;
+      bytes += info.size;
     }
-    output += `**Heartbeats:** ${taskRecord.heartbeatCount}\n`;
-    if (taskRecord.lastOutputSnippet) {
-      output += `**Recent output:** \`${taskRecord.lastOutputSnippet.slice(-80)}...\`\n`;
+    tasks.delete(t.id);
+    taskCompletions.delete(t.id);
+  }
+  await saveTasks();
+  return { files, bytes };
+}
+
+const USAGE_GROUPS = {
+  day: { label: "Day", key: (t) => (t.startedAt || t.queuedAt).slice(0, 10) },
+  model: { label: "Model", key: (t) => t.model },
+  directory: { label: "Directory", key: (t) => t.workingDirectory },
+  pipeline: {
+    label: "Pipeline",
+    key: (t) => {
+      if (!t.pipelineId) return "(none)";
+      const pipeline = pipelines.get(t.pipelineId);
+      return pipeline?.name ? `${t.pipelineId} (${pipeline.name})` : t.pipelineId;
+    },
+  },
+};
+
+async function handleCodexTemplates(args = {}) {
+  const repoConfig = args.workingDirectory ? await loadRepoConfig(args.workingDirectory) : {};
+  const templates = collectTemplates(repoConfig);
+
+  if (!args.name) {
+    let output = `## Codex Templates\n\n`;
+    if (!args.workingDirectory) {
+      output += `Pass workingDirectory to include the repo's templates.\n\n`;
     }
+    output += `| Name | Source | Description | Variables | Options |\n`;
+    output += `|------|--------|-------------|-----------|---------|\n`;
+    for (const t of templates.values()) {
+      const variables = Object.entries(templateVariables(t))
+        .map(([name, v]) => (v.default == null ? `${name} (required)` : name))
+        .join(", ");
+      const options = Object.entries(templateOptions(t)).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(", ");
+      output += `| ${t.name} | ${t.source} | ${t.description || "-"} | ${variables || "-"} | ${options || "-"} |\n`;
+    }
+    output += `\nUse codex_templates with a name (and variables) to preview one, and codex_agent with template and variables to run it.\n`;
+    return { content: [{ type: "text", text: output }] };
   }
 
-  if (taskRecord.completedAt) {
-    output += `**Completed:** ${taskRecord.completedAt}\n`;
-    output += `**Duration:** ${taskRecord.durationFormatted || formatDuration(elapsed)}\n`;
+  let template;
+  try {
+    template = findTemplate(templates, args.name);
+  } catch (err) {
+    return { content: [{ type: "text", text: err.message }], isError: true };
   }
 
-  // Diagnostics section
-  output += `\n### Diagnostics\n`;
-  output += `| Metric | Value |\n`;
-  output += `|--------|-------|\n`;
-  output += `| Exit code | ${taskRecord.exitCode ?? "(running)"} |\n`;
-  output += `| Exit signal | ${taskRecord.exitSignal || "none"} |\n`;
-  output += `| Stdout bytes | ${taskRecord.stdoutBytes || 0} |\n`;
-  output += `| Stderr bytes | ${taskRecord.stderrBytes || 0} |\n`;
-  output += `| Timeout | ${taskRecord.timeoutMs > 0 ? `${taskRecord.timeoutMs}ms` : "none"} |\n`;
+  const values = args.variables || {};
+  const variables = templateVariables(template);
+  let output = `## Codex Template: ${template.name}\n\n`;
+  output += `**Source:** ${template.source === "repo" ? `repo (${REPO_CONFIG_NAME})` : template.source === "user" ? `user (${CONFIG_FILE})` : "built-in"}\n`;
+  if (template.description) output += `**Description:** ${template.description}\n`;
+  const options = Object.entries(templateOptions(template));
+  if (options.length > 0) {
+    output += `**Options:** ${options.map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(", ")}\n`;
+  }
 
-  if (taskRecord.failureReason) {
-    output += `\n### Failure Reason\n\`\`\`\n${taskRecord.failureReason}\n\`\`\`\n`;
+  if (Object.keys(variables).length > 0) {
+    output += `\n| Variable | Value | Default | Description |\n`;
+    output += `|----------|-------|---------|-------------|\n`;
+    for (const [name, v] of Object.entries(variables)) {
+      output += `| ${name} | ${values[name] ?? "-"} | ${v.default ?? "(required)"} | ${v.description || "-"} |\n`;
+    }
   }
 
-  output += `\n### Recent Logs (last ${tailLines} lines)\n\`\`\`\n${recentLogs}\n\`\`\`\n`;
+  // Preview: render when every variable is set, otherwise show the raw prompt
+  try {
+    const prompt = renderTemplate(template, values);
+    output += `\n### Prompt\n${prompt}\n`;
+    output += `\n> Run it with codex_agent: \`template: "${template.name}"\`, \`variables: ${JSON.stringify(values)}\`\n`;
+  } catch (err) {
+    if (Object.keys(values).some((name) => !variables[name])) {
+      return { content: [{ type: "text", text: err.message }], isError: true };
+    }
+    output += `\n### Prompt (unrendered)\n${template.prompt}\n\n> ${err.message}\n`;
+  }
+  return { content: [{ type: "text", text: output }] };
+}
 
-  if (taskRecord.result) {
-    output += `\n### Result\n${taskRecord.result}\n`;
+async function handleCodexUsage(args = {}) {
+  const groupBy = args.groupBy || "day";
+  const days = args.days ?? 30;
+  const group = USAGE_GROUPS[groupBy];
+  if (!group) {
+    return {
+      content: [{ type: "text", text: `Unknown groupBy: ${groupBy} (expected one of ${Object.keys(USAGE_GROUPS).join(", ")})` }],
+      isError: true,
+    };
   }
 
-  // Add debug file location
-  output += `\n---\n**Debug file:** ${taskRecord.debugFile}\n`;
+  const since = days > 0 ? Date.now() - days * 86400000 : 0;
+  const directory = args.directory ? resolvePath(expandHome(args.directory)) : null;
+  const selected = [...tasks.values()].filter((t) =>
+    new Date(t.startedAt || t.queuedAt).getTime() >= since &&
+    (!args.model || t.model === args.model) &&
+    (!directory || isInside(resolvePath(t.workingDirectory), directory))
+  );
+
+  const emptyRow = () => ({ tasks: 0, tracked: 0, inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: 0 });
+  const add = (row, t) => {
+    row.tasks++;
+    // Tasks that never completed a turn, or predate usage tracking
+    if (!t.usage) return;
+    row.tracked++;
+    row.inputTokens += t.usage.inputTokens;
+    row.cachedInputTokens += t.usage.cachedInputTokens;
+    row.outputTokens += t.usage.outputTokens;
+    if (t.costUsd == null) row.unpriced++;
+    else row.costUsd += t.costUsd;
+  };
+  const total = emptyRow();
+  const rows = new Map();
+  for (const t of selected) {
+    const key = group.key(t);
+    if (!rows.has(key)) rows.set(key, emptyRow());
+    add(rows.get(key), t);
+    add(total, t);
+  }
 
-  return {
-    content: [{ type: "text", text: output }],
+  const formatCostCell = (row) => {
+    if (row.tracked === 0) return "-";
+    if (row.unpriced === 0) return formatCost(row.costUsd);
+    const priced = row.tracked - row.unpriced;
+    return `${priced > 0 ? formatCost(row.costUsd) : "-"} (${row.unpriced} unpriced)`;
   };
-}
 
-async function handleCodexTasks(args) {
-  const statusFilter = args.status || "all";
-  const limit = args.limit || 20;
+  let output = `## Codex Usage\n\n`;
+  output += `**Period:** ${days > 0 ? `last ${days} day(s)` : "all time"}\n`;
+  if (args.model) output += `**Model:** ${args.model}\n`;
+  if (directory) output += `**Directory:** ${directory}\n`;
+  output += `**Tasks:** ${total.tasks}\n`;
+  output += `**Tokens:** ${formatTokens(total.inputTokens)} in (${formatTokens(total.cachedInputTokens)} cached), ${formatTokens(total.outputTokens)} out\n`;
+  output += `**Estimated cost:** ${formatCostCell(total)}\n`;
+  const budgets = listBudgets(null);
+  if (budgets.length > 0) {
+    output += `**Budgets:** ${budgets.map(describeBudget).join("; ")}\n`;
+  }
+  output += `\n`;
 
-  let filtered = Array.from(tasks.values());
+  if (rows.size === 0) {
+    output += `No tasks in this period.\n`;
+    return { content: [{ type: "text", text: output }] };
+  }
 
-  if (statusFilter !== "all") {
-    filtered = filtered.filter((t) => t.status === statusFilter);
+  // Days newest first; everything else most expensive first
+  const sorted = [...rows.entries()].sort(([ka, a], [kb, b]) =>
+    groupBy === "day" ? kb.localeCompare(ka) : b.costUsd - a.costUsd || (b.inputTokens + b.outputTokens) - (a.inputTokens + a.outputTokens)
+  );
+  output += `| ${group.label} | Tasks | Input | Cached | Output | Cost |\n`;
+  output += `|${"-".repeat(group.label.length + 2)}|-------|-------|--------|--------|------|\n`;
+  for (const [key, row] of sorted) {
+    output += `| ${key} | ${row.tasks} | ${formatTokens(row.inputTokens)} | ${formatTokens(row.cachedInputTokens)} | ${formatTokens(row.outputTokens)} | ${formatCostCell(row)} |\n`;
+  }
+  if (total.unpriced > 0) {
+    output += `\nUnpriced tasks ran on models without a price; add them under \`pricing\` in ${CONFIG_FILE}.\n`;
   }
 
-  // Sort by start time descending
-  filtered.sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
-  filtered = filtered.slice(0, limit);
+  return { content: [{ type: "text", text: output }] };
+}
 
-  if (filtered.length === 0) {
-    return {
-      content: [{ type: "text", text: "No tasks found." }],
-    };
+async function handleCodexPrune(args = {}) {
+  const rules = args.olderThanDays !== undefined || args.keep !== undefined || args.taskIds
+    ? {
+      maxAgeDays: args.olderThanDays,
+      maxTasks: args.keep,
+      statuses: args.status,
+      taskIds: args.taskIds,
+    }
+    : CONFIG.retention;
+  if (!rules) {
+    throw new Error("Nothing to prune by: pass olderThanDays, keep or taskIds, or configure retention in the config file");
+  }
+  if (rules.statuses) {
+    const invalid = rules.statuses.filter((st) => !FINISHED_STATUSES.includes(st));
+    if (invalid.length > 0) {
+      throw new Error(`Only finished tasks can be pruned (${FINISHED_STATUSES.join(", ")}); got ${invalid.join(", ")}`);
+    }
   }
 
-  let output = `## Codex Tasks (${statusFilter})\n\n`;
-  output += `| ID | Status | Duration | Exit | Task |\n`;
-  output += `|----|--------|----------|------|------|\n`;
-
-  for (const t of filtered) {
-    const shortTask = t.task.length > 30 ? t.task.slice(0, 30) + "..." : t.task;
-    const duration = t.durationFormatted || (t.status === "running"
-      ? formatDuration(Date.now() - new Date(t.startedAt).getTime())
-      : "-");
-    const exit = t.exitSignal || (t.exitCode !== null ? t.exitCode : "-");
-    output += `| ${t.id} | ${t.status} | ${duration} | ${exit} | ${shortTask} |\n`;
+  const { prune, skipped } = selectPrunableTasks(rules);
+  let output = `## Codex Prune${args.dryRun ? " (dry run)" : ""}\n\n`;
+  if (prune.length === 0) {
+    output += "No tasks match.\n";
+  } else {
+    output += `| ID | Status | Finished | Task |\n`;
+    output += `|----|--------|----------|------|\n`;
+    for (const t of prune) {
+      const shortTask = t.task.length > 30 ? t.task.slice(0, 30) + "..." : t.task;
+      output += `| ${t.id} | ${t.status} | ${t.completedAt || "-"} | ${shortTask} |\n`;
+    }
+    if (args.dryRun) {
+      output += `\n${prune.length} task(s) would be deleted. Run again without dryRun to delete them.\n`;
+    } else {
+      const { files, bytes } = await pruneTasks(prune);
+      output += `\nDeleted ${prune.length} task(s) and ${files} file(s) (${(bytes / 1024).toFixed(1)} KB).\n`;
+    }
+  }
+  if (skipped.length > 0) {
+    output += `\n### Skipped\n`;
+    for (const { task, reason } of skipped) output += `- ${task.id}: ${reason}\n`;
   }
 
   return {
@@ -867,257 +6116,486 @@ async function handleCodexTasks(args) {
   };
 }
 
-async function handleCodexCancel(args) {
-  const taskId = args.taskId;
-  const taskRecord = tasks.get(taskId);
+// Template references to earlier pipeline steps, e.g. {{steps.analyze.result}}
+const STEP_TEMPLATE_PATTERN = /\{\{\s*steps\.([\w-]+)\.(result|sessionId|taskId|status|changes)\s*\}\}/g;
 
-  if (!taskRecord) {
-    return {
-      content: [{ type: "text", text: `Task not found: ${taskId}` }],
-      isError: true,
-    };
+// Validate pipeline steps and return them normalized. Throws with a message
+// naming the offending step on duplicate IDs, unknown references or cycles.
+function validatePipelineSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("Pipeline needs at least one step");
   }
 
-  if (taskRecord.status !== "running") {
-    return {
-      content: [{ type: "text", text: `Task ${taskId} is not running (status: ${taskRecord.status})` }],
-    };
+  const byId = new Map();
+  for (const step of steps) {
+    if (!step.id || !/^[\w-]+$/.test(step.id)) {
+      throw new Error(`Invalid step ID "${step.id}": use letters, digits, - and _`);
+    }
+    if (byId.has(step.id)) {
+      throw new Error(`Duplicate step ID "${step.id}"`);
+    }
+    if (!step.task || typeof step.task !== "string") {
+      throw new Error(`Step "${step.id}" has no task`);
+    }
+    const dependsOn = [...new Set(step.dependsOn || [])];
+    if (step.resumeFrom && !dependsOn.includes(step.resumeFrom)) {
+      dependsOn.push(step.resumeFrom);
+    }
+    byId.set(step.id, { ...step, dependsOn });
   }
 
-  const codex = activeProcesses.get(taskId);
-  if (!codex) {
-    return {
-      content: [{ type: "text", text: `Task ${taskId} has no active process handle` }],
-      isError: true,
-    };
+  for (const step of byId.values()) {
+    for (const dep of step.dependsOn) {
+      if (!byId.has(dep)) {
+        throw new Error(`Step "${step.id}" depends on unknown step "${dep}"`);
+      }
+    }
   }
 
-  try {
-    taskRecord.failureReason = "Cancelled by user";
-    await appendFile(taskRecord.logFile, `\n[${new Date().toISOString()}] CANCELLED: User requested cancellation\n`);
+  // Depth-first search for cycles, collecting each step's ancestors on the way
+  const ancestors = new Map();
+  const visiting = new Set();
+  const collect = (id, path) => {
+    if (ancestors.has(id)) return ancestors.get(id);
+    if (visiting.has(id)) {
+      throw new Error(`Pipeline has a dependency cycle: ${[...path, id].join(" → ")}`);
+    }
+    visiting.add(id);
+    const result = new Set();
+    for (const dep of byId.get(id).dependsOn) {
+      result.add(dep);
+      for (const a of collect(dep, [...path, id])) result.add(a);
+    }
+    visiting.delete(id);
+    ancestors.set(id, result);
+    return result;
+  };
 
-    await sendProgress(taskId, "Task cancellation requested", {
-      status: "cancelling",
-    });
+  for (const step of byId.values()) {
+    collect(step.id, []);
+    for (const [, ref] of step.task.matchAll(STEP_TEMPLATE_PATTERN)) {
+      if (!ancestors.get(step.id).has(ref)) {
+        throw new Error(`Step "${step.id}" references {{steps.${ref}...}} but does not (transitively) depend on "${ref}"`);
+      }
+    }
+  }
 
-    codex.kill("SIGTERM");
+  return [...byId.values()];
+}
 
-    // Give it a moment then force kill if needed
-    setTimeout(() => {
-      if (taskRecord.status === "running") {
-        try {
-          codex.kill("SIGKILL");
-          appendFile(taskRecord.logFile, `[${new Date().toISOString()}] SIGKILL sent after SIGTERM timeout\n`);
-        } catch {
-          // Already dead
-        }
+// Fill in {{steps.<id>.<field>}} references from finished steps
+function renderStepTask(pipeline, template) {
+  return template.replace(STEP_TEMPLATE_PATTERN, (_, ref, field) => {
+    const step = pipeline.steps.find((s) => s.id === ref);
+    const taskRecord = step.taskId ? tasks.get(step.taskId) : null;
+    switch (field) {
+      case "result":
+        return taskRecord?.result?.trim() || "";
+      case "sessionId":
+        return taskRecord?.codexSessionId || "";
+      case "taskId":
+        return step.taskId || "";
+      case "status":
+        return step.status;
+      case "changes":
+        return taskRecord?.diffStats ? formatDiffStats(taskRecord.diffStats) : "no changes recorded";
+    }
+  });
+}
+
+// Start every step whose dependencies are done, skip steps whose dependencies
+// failed, and finish the pipeline once no step is pending or started
+async function advancePipeline(pipeline) {
+  if (pipeline.status !== "running") return;
+
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const step of pipeline.steps) {
+      if (step.status !== "pending") continue;
+      const deps = step.dependsOn.map((id) => pipeline.steps.find((s) => s.id === id));
+      const blocker = deps.find((d) => ["failed", "skipped", "cancelled"].includes(d.status));
+      if (blocker) {
+        step.status = "skipped";
+        step.error = `Dependency "${blocker.id}" ${blocker.status}`;
+        changed = true;
+      } else if (deps.every((d) => d.status === "completed")) {
+        startPipelineStep(pipeline, step);
+        changed = true;
       }
-    }, 5000);
+    }
+  }
 
-    return {
-      content: [{ type: "text", text: `Sent SIGTERM to task ${taskId} (PID ${taskRecord.pid}). Task will be cancelled.` }],
-    };
-  } catch (err) {
-    return {
-      content: [{ type: "text", text: `Failed to cancel task: ${err.message}` }],
-      isError: true,
-    };
+  if (!pipeline.steps.some((s) => s.status === "pending" || s.status === "started")) {
+    finishPipeline(pipeline, pipeline.steps.every((s) => s.status === "completed") ? "completed" : "failed");
   }
+  await savePipelines();
 }
 
-async function handleCodexWait(args) {
-  const taskId = args.taskId;
-  const pollIntervalMs = args.pollIntervalMs || 5000;
-  const timeoutMs = args.timeoutMs || 0;
+function startPipelineStep(pipeline, step) {
+  // Marked synchronously so a concurrent advancePipeline can't start it twice
+  step.status = "started";
+  step.startedAt = new Date().toISOString();
+
+  let sessionId;
+  if (step.resumeFrom) {
+    const source = pipeline.steps.find((s) => s.id === step.resumeFrom);
+    sessionId = tasks.get(source.taskId)?.codexSessionId;
+    if (!sessionId) {
+      step.status = "failed";
+      step.error = `Step "${source.id}" has no Codex session to resume`;
+      step.completedAt = new Date().toISOString();
+      return;
+    }
+  }
 
-  const taskRecord = tasks.get(taskId);
-  if (!taskRecord) {
-    return {
-      content: [{ type: "text", text: `Task not found: ${taskId}` }],
-      isError: true,
-    };
+  const args = {
+    task: renderStepTask(pipeline, step.task),
+    workingDirectory: step.workingDirectory || pipeline.workingDirectory,
+    sandbox: step.sandbox,
+    model: step.model,
+    reasoningEffort: step.reasoningEffort,
+    isolation: step.isolation,
+    timeoutMs: step.timeoutMs,
+    profile: step.profile,
+    sessionId,
+  };
+
+  createTask(args, { pipelineId: pipeline.id, pipelineStep: step.id })
+    .then(({ taskRecord, completion }) => {
+      step.taskId = taskRecord.id;
+      savePipelines().catch(() => {});
+      if (pipeline.status === "cancelled") {
+        cancelTask(taskRecord, "Pipeline cancelled");
+      }
+      return awaitPipelineStep(pipeline, step, completion);
+    })
+    .catch((err) => {
+      step.status = "failed";
+      step.error = err.message;
+      step.completedAt = new Date().toISOString();
+    })
+    .then(() => advancePipeline(pipeline))
+    .catch((err) => console.error(`Failed to save pipeline ${pipeline.id}: ${err.message}`));
+}
+
+// Record a step's outcome once its task has finished
+async function awaitPipelineStep(pipeline, step, completion) {
+  const result = await completion.promise;
+  if (pipeline.status === "cancelled" && result.status !== "completed") {
+    step.status = "cancelled";
+  } else {
+    step.status = result.status === "completed" ? "completed" : "failed";
   }
+  step.completedAt = new Date().toISOString();
+  if (result.failureReason) step.error = result.failureReason;
+}
 
-  // If already completed, return immediately
-  if (taskRecord.status !== "running") {
-    return {
-      content: [
-        {
-          type: "text",
-          text: formatWaitResult(taskId, taskRecord),
-        },
-      ],
-    };
+// A re-adopted task is a step of a pipeline whose server exited: take the
+// pipeline over (refreshPipelines does, under the store lock) and advance it
+// once the step finishes
+async function resumePipelineStep(taskRecord, completion) {
+  await savePipelines();
+  const pipeline = pipelines.get(taskRecord.pipelineId);
+  const step = pipeline?.steps.find((s) => s.id === taskRecord.pipelineStep);
+  if (!step || step.status !== "started" || pipeline.status !== "running" || pipeline.owner?.instance !== INSTANCE_ID) return;
+  // Steps that ended while the pipeline had no server may unblock others
+  await advancePipeline(pipeline);
+  await awaitPipelineStep(pipeline, step, completion);
+  await advancePipeline(pipeline);
+}
+
+function finishPipeline(pipeline, status) {
+  pipeline.status = status;
+  pipeline.completedAt = new Date().toISOString();
+  pipeline.duration = Date.now() - new Date(pipeline.createdAt).getTime();
+  sendProgress(pipeline.id, `Pipeline ${status}`, {
+    status,
+    pipelineId: pipeline.id,
+    duration: formatDuration(pipeline.duration),
+  });
+  const completion = pipelineCompletions.get(pipeline.id);
+  if (completion) {
+    pipelineCompletions.delete(pipeline.id);
+    completion.resolve();
   }
+}
 
-  const startWait = Date.now();
+// Create a pipeline from validated steps and start its first steps. Returns
+// the pipeline record and a promise that resolves when it finishes.
+async function startPipeline({ name, workingDirectory, steps, kind = "pipeline" }) {
+  const pipelineId = `pl-${randomUUID().slice(0, 8)}`;
 
-  // Poll until complete or timeout
-  return new Promise((resolve) => {
-    const checkStatus = async () => {
-      const record = tasks.get(taskId);
-
-      // Check if completed
-      if (record.status !== "running") {
-        resolve({
-          content: [
-            {
-              type: "text",
-              text: formatWaitResult(taskId, record),
-            },
-          ],
-        });
-        return;
-      }
+  const pipeline = {
+    id: pipelineId,
+    kind,
+    name: name || null,
+    workingDirectory,
+    status: "running",
+    owner: { instance: INSTANCE_ID, pid: process.pid },
+    createdAt: new Date().toISOString(),
+    completedAt: null,
+    steps: steps.map((step) => ({
+      id: step.id,
+      label: step.label || null,
+      task: step.task,
+      dependsOn: step.dependsOn,
+      resumeFrom: step.resumeFrom || null,
+      workingDirectory: step.workingDirectory,
+      sandbox: step.sandbox,
+      model: step.model,
+      reasoningEffort: step.reasoningEffort,
+      isolation: step.isolation,
+      timeoutMs: step.timeoutMs,
+      status: "pending",
+      taskId: null,
+      error: null,
+    })),
+  };
+  pipelines.set(pipelineId, pipeline);
 
-      // Check timeout
-      if (timeoutMs > 0 && Date.now() - startWait > timeoutMs) {
-        resolve({
-          content: [
-            {
-              type: "text",
-              text: `## Codex Wait Timeout\n\n` +
-                `**Task ID:** ${taskId}\n` +
-                `**Status:** still running\n` +
-                `**Waited:** ${formatDuration(Date.now() - startWait)}\n` +
-                `**Timeout:** ${formatDuration(timeoutMs)}\n\n` +
-                `Task is still running. Use \`codex_status\` to check progress or \`codex_cancel\` to stop it.`,
-            },
-          ],
-        });
-        return;
-      }
+  const done = new Promise((resolve) => pipelineCompletions.set(pipelineId, { resolve }));
+  await advancePipeline(pipeline);
+  return { pipeline, done };
+}
 
-      // Send progress notification while waiting
-      await sendProgress(taskId, `Waiting for task (${formatDuration(Date.now() - startWait)} elapsed)`, {
-        status: "waiting",
-        taskStatus: record.status,
-        waitElapsed: formatDuration(Date.now() - startWait),
-      });
+async function handleCodexPipeline(args) {
+  const steps = validatePipelineSteps(args.steps);
+  const { pipeline, done } = await startPipeline({
+    name: args.name,
+    workingDirectory: args.workingDirectory,
+    steps,
+  });
 
-      // Continue polling
-      setTimeout(checkStatus, pollIntervalMs);
+  if (args.async) {
+    let output = `## Codex Pipeline Started (Async)\n\n`;
+    output += `**Pipeline ID:** \`${pipeline.id}\`\n`;
+    if (pipeline.name) output += `**Name:** ${pipeline.name}\n`;
+    output += `**Steps:** ${pipeline.steps.length}\n`;
+    output += `**Started now:** ${pipeline.steps.filter((s) => s.status === "started").map((s) => s.id).join(", ") || "(none)"}\n\n`;
+    output += `Use \`codex_pipeline_status\` to follow progress or \`codex_pipeline_cancel\` to stop it.\n`;
+    return {
+      content: [{ type: "text", text: output }],
     };
+  }
 
-    checkStatus();
-  });
+  await done;
+  return {
+    content: [{ type: "text", text: formatPipelineStatus(pipeline, true) }],
+  };
 }
 
-async function handleCodexListSessions(args) {
-  const limit = args.limit || 10;
-  const filterDirectory = args.directory || null;
+async function handleCodexCompare(args) {
+  const variants = args.variants || [];
+  if (variants.length < 2) {
+    throw new Error("codex_compare needs at least two variants");
+  }
+  const repoRoot = await git(args.workingDirectory, ["rev-parse", "--show-toplevel"]).catch(() => null);
+  if (!repoRoot) {
+    throw new Error(`codex_compare runs each variant in its own worktree and needs a git repository: ${args.workingDirectory}`);
+  }
 
-  const sessionsDir = join(homedir(), ".codex", "sessions");
-  const sessions = [];
+  // Every variant is an independent, worktree-isolated step of one pipeline
+  const steps = validatePipelineSteps(variants.map((v, i) => ({
+    id: `v${i + 1}`,
+    label: `${v.model || DEFAULT_MODEL} @ ${v.reasoningEffort || DEFAULT_REASONING_EFFORT}`,
+    task: args.task,
+    model: v.model,
+    reasoningEffort: v.reasoningEffort,
+    sandbox: args.sandbox,
+    timeoutMs: args.timeoutMs,
+    isolation: "worktree",
+  })));
+  const { pipeline, done } = await startPipeline({
+    name: args.name || args.task.split("\n")[0].slice(0, 60),
+    workingDirectory: args.workingDirectory,
+    steps,
+    kind: "compare",
+  });
 
-  try {
-    // Find all session files recursively
-    const findSessions = async (dir) => {
-      const entries = await readdir(dir, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = join(dir, entry.name);
-        if (entry.isDirectory()) {
-          await findSessions(fullPath);
-        } else if (entry.name.endsWith(".jsonl")) {
-          sessions.push(fullPath);
-        }
-      }
+  if (args.async) {
+    let output = `## Codex Comparison Started (Async)\n\n`;
+    output += `**Comparison ID:** \`${pipeline.id}\`\n`;
+    output += `**Variants:** ${pipeline.steps.map((s) => `${s.id} (${s.label})`).join(", ")}\n\n`;
+    output += `Use \`codex_pipeline_status\` with this ID for the report, or \`codex_pipeline_cancel\` to stop all variants.\n`;
+    return {
+      content: [{ type: "text", text: output }],
     };
+  }
 
-    await findSessions(sessionsDir);
-
-    // Sort by modification time (newest first)
-    const sessionStats = await Promise.all(
-      sessions.map(async (path) => {
-        const { stat } = await import("fs/promises");
-        const stats = await stat(path);
-        return { path, mtime: stats.mtime };
-      })
-    );
-    sessionStats.sort((a, b) => b.mtime - a.mtime);
-
-    // Parse session metadata
-    const results = [];
-    for (const { path } of sessionStats.slice(0, limit * 2)) { // Get extra in case of filter
-      try {
-        const content = await readFile(path, "utf-8");
-        const firstLine = content.split("\n")[0];
-        const meta = JSON.parse(firstLine);
-
-        if (meta.type !== "session_meta" || !meta.payload) continue;
-
-        const payload = meta.payload;
-        const cwd = payload.cwd || "(unknown)";
-
-        // Apply directory filter
-        if (filterDirectory && !cwd.includes(filterDirectory)) continue;
-
-        // Find first user message for task preview
-        let taskPreview = "(no task preview)";
-        const eventLine = content.split("\n").find(line => line.includes('"type":"event_msg"'));
-        if (eventLine) {
-          try {
-            const event = JSON.parse(eventLine);
-            const msg = event.payload?.message || "";
-            taskPreview = msg.slice(0, 100).replace(/\n/g, " ");
-            if (msg.length > 100) taskPreview += "...";
-          } catch {}
-        }
+  await done;
+  return {
+    content: [{ type: "text", text: formatCompareReport(pipeline, true) }],
+  };
+}
 
-        // Extract directory name for display
-        const dirName = cwd.split("/").pop() || cwd;
+// Side-by-side report of a codex_compare run
+function formatCompareReport(pipeline, includeResults) {
+  const rows = pipeline.steps.map((step) => ({ step, taskRecord: step.taskId ? tasks.get(step.taskId) : null }));
+
+  let output = `## Codex Comparison\n\n`;
+  output += `**Comparison ID:** ${pipeline.id}\n`;
+  output += `**Status:** ${pipeline.status}\n`;
+  output += `**Working directory:** ${pipeline.workingDirectory}\n`;
+  output += `**Task:** ${pipeline.steps[0].task.slice(0, 200)}${pipeline.steps[0].task.length > 200 ? "..." : ""}\n`;
+
+  output += `\n| Variant | Model | Effort | Status | Duration | Exit | Files | +/- | Task ID |\n`;
+  output += `|---------|-------|--------|--------|----------|------|-------|-----|---------|\n`;
+  for (const { step, taskRecord } of rows) {
+    const status = step.status === "started" && taskRecord ? taskRecord.status : step.status;
+    const exit = taskRecord ? (taskRecord.exitSignal || (taskRecord.exitCode ?? "-")) : "-";
+    const stats = taskRecord?.diffStats;
+    output += `| ${step.id} | ${taskRecord?.model || step.model || DEFAULT_MODEL} | ${taskRecord?.reasoningEffort || step.reasoningEffort || DEFAULT_REASONING_EFFORT} | ` +
+      `${status} | ${taskRecord?.durationFormatted || "-"} | ${exit} | ${stats ? stats.filesChanged : "-"} | ` +
+      `${stats ? `+${stats.additions} -${stats.deletions}` : "-"} | ${step.taskId || "-"} |\n`;
+  }
 
-        results.push({
-          sessionId: payload.id,
-          timestamp: payload.timestamp,
-          directory: cwd,
-          directoryName: dirName,
-          taskPreview,
-        });
+  const finished = rows.filter(({ taskRecord }) => taskRecord?.status === "completed");
+  if (finished.length > 0) {
+    const fastest = finished.reduce((a, b) => (b.taskRecord.duration < a.taskRecord.duration ? b : a));
+    output += `\n**Fastest successful:** ${fastest.step.id} (${fastest.step.label}, ${fastest.taskRecord.durationFormatted})\n`;
+  }
 
-        if (results.length >= limit) break;
-      } catch {}
+  if (includeResults) {
+    for (const { step, taskRecord } of rows) {
+      output += `\n### ${step.id}: ${step.label}\n`;
+      if (taskRecord?.failureReason) output += `**Failure reason:** ${taskRecord.failureReason}\n\n`;
+      output += `${taskRecord?.result || "(no result)"}\n`;
     }
+  }
 
-    // Format output for Claude to present to user
-    let output = `## Available Codex Sessions\n\n`;
-    output += `Found ${results.length} recent session(s).\n\n`;
+  if (rows.some(({ taskRecord }) => taskRecord?.worktree?.state === "ready")) {
+    output += `\n---\nEach variant's changes are on its own branch. Use \`codex_diff\` to inspect a variant, \`codex_apply\` on the winner's task ID, and \`codex_discard\` on the others.\n`;
+  }
 
-    if (results.length === 0) {
-      output += `No sessions found. A new session will be started.\n`;
-    } else {
-      output += `| # | Directory | Task | Session ID |\n`;
-      output += `|---|-----------|------|------------|\n`;
+  return output;
+}
 
-      results.forEach((s, i) => {
-        const timeAgo = formatDuration(Date.now() - new Date(s.timestamp).getTime()) + " ago";
-        output += `| ${i + 1} | ${s.directoryName} | ${s.taskPreview.slice(0, 50)}${s.taskPreview.length > 50 ? '...' : ''} | \`${s.sessionId.slice(0, 8)}...\` |\n`;
-      });
+function formatPipelineStatus(pipeline, includeResults) {
+  if (pipeline.kind === "compare") {
+    return formatCompareReport(pipeline, includeResults);
+  }
 
-      output += `\n### Session Details\n\n`;
-      results.forEach((s, i) => {
-        output += `**${i + 1}. ${s.directoryName}** (${formatDuration(Date.now() - new Date(s.timestamp).getTime())} ago)\n`;
-        output += `- Session ID: \`${s.sessionId}\`\n`;
-        output += `- Directory: ${s.directory}\n`;
-        output += `- Task: ${s.taskPreview}\n\n`;
-      });
+  const end = pipeline.completedAt ? new Date(pipeline.completedAt).getTime() : Date.now();
+  let output = `## Codex Pipeline\n\n`;
+  output += `**Pipeline ID:** ${pipeline.id}\n`;
+  if (pipeline.name) output += `**Name:** ${pipeline.name}\n`;
+  output += `**Status:** ${pipeline.status}\n`;
+  output += `**Working directory:** ${pipeline.workingDirectory}\n`;
+  output += `**Started:** ${pipeline.createdAt}\n`;
+  output += `**${pipeline.completedAt ? "Duration" : "Elapsed"}:** ${formatDuration(end - new Date(pipeline.createdAt).getTime())}\n`;
+
+  output += `\n| Step | Status | Task ID | Duration | Depends on | Note |\n`;
+  output += `|------|--------|---------|----------|------------|------|\n`;
+  for (const step of pipeline.steps) {
+    const taskRecord = step.taskId ? tasks.get(step.taskId) : null;
+    // While a step's task is in flight, show its live status (queued/running)
+    const status = step.status === "started" && taskRecord ? taskRecord.status : step.status;
+    let duration = "-";
+    if (taskRecord?.durationFormatted) {
+      duration = taskRecord.durationFormatted;
+    } else if (taskRecord?.startedAt) {
+      duration = formatDuration(Date.now() - new Date(taskRecord.startedAt).getTime());
     }
+    const deps = step.dependsOn.length > 0 ? step.dependsOn.join(", ") : "-";
+    const note = step.error || (step.resumeFrom ? `resumes ${step.resumeFrom}` : "");
+    output += `| ${step.id} | ${status} | ${step.taskId || "-"} | ${duration} | ${deps} | ${note.replace(/\|/g, "\\|")} |\n`;
+  }
 
-    // Include structured data for Claude to use in AskUserQuestion
-    output += `\n---\n`;
-    output += `### For AskUserQuestion Options\n\n`;
-    output += `Use these session IDs when asking the user:\n`;
-    output += `\`\`\`json\n${JSON.stringify(results.map(s => ({ label: `[${s.directoryName}] ${s.taskPreview.slice(0, 40)}...`, sessionId: s.sessionId })), null, 2)}\n\`\`\`\n`;
+  if (includeResults) {
+    for (const step of pipeline.steps) {
+      const result = step.taskId ? tasks.get(step.taskId)?.result : null;
+      if (result) {
+        output += `\n### ${step.id}\n${result}\n`;
+      }
+    }
+  } else if (pipeline.steps.some((s) => s.taskId)) {
+    output += `\nUse \`codex_status\` with a step's task ID for its logs and result.\n`;
+  }
+
+  return output;
+}
 
+async function handleCodexPipelineStatus(args) {
+  await refreshPipelines();
+  if (!args.pipelineId) {
+    const recent = Array.from(pipelines.values())
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, 20);
+    if (recent.length === 0) {
+      return {
+        content: [{ type: "text", text: "No pipelines found." }],
+      };
+    }
+    let output = `## Codex Pipelines\n\n`;
+    output += `| ID | Name | Status | Steps | Started |\n`;
+    output += `|----|------|--------|-------|---------|\n`;
+    for (const p of recent) {
+      const done = p.steps.filter((s) => s.status === "completed").length;
+      output += `| ${p.id} | ${p.kind === "compare" ? "[compare] " : ""}${p.name || "-"} | ${p.status} | ${done}/${p.steps.length} completed | ${p.createdAt} |\n`;
+    }
     return {
       content: [{ type: "text", text: output }],
     };
-  } catch (error) {
+  }
+
+  const pipeline = pipelines.get(args.pipelineId);
+  if (!pipeline) {
     return {
-      content: [{ type: "text", text: `Error listing sessions: ${error.message}` }],
+      content: [{ type: "text", text: `Pipeline not found: ${args.pipelineId}` }],
       isError: true,
     };
   }
+
+  return {
+    content: [{ type: "text", text: formatPipelineStatus(pipeline, args.includeResults || false) }],
+  };
+}
+
+async function handleCodexPipelineCancel(args) {
+  const pipeline = pipelines.get(args.pipelineId);
+  if (!pipeline) {
+    return {
+      content: [{ type: "text", text: `Pipeline not found: ${args.pipelineId}` }],
+      isError: true,
+    };
+  }
+  if (pipeline.status !== "running") {
+    return {
+      content: [{ type: "text", text: `Pipeline ${pipeline.id} is not running (status: ${pipeline.status})` }],
+    };
+  }
+  if (isOwnedElsewhere(pipeline)) {
+    return {
+      content: [{ type: "text", text: `Pipeline ${pipeline.id} is run by another codex-connector instance (pid ${pipeline.owner.pid}); cancel it from that session.` }],
+      isError: true,
+    };
+  }
+
+  // Steps whose task is still being created are cancelled by startPipelineStep
+  finishPipeline(pipeline, "cancelled");
+  const stopping = [];
+  for (const step of pipeline.steps) {
+    if (step.status === "pending") {
+      step.status = "cancelled";
+      step.error = "Pipeline cancelled";
+    } else if (step.status === "started") {
+      stopping.push(step.id);
+      const taskRecord = step.taskId ? tasks.get(step.taskId) : null;
+      if (taskRecord && isTaskPending(taskRecord)) {
+        await cancelTask(taskRecord, "Pipeline cancelled");
+      }
+    }
+  }
+  await savePipelines();
+
+  return {
+    content: [{
+      type: "text",
+      text: `Cancelled pipeline ${pipeline.id}.` +
+        (stopping.length > 0 ? ` Stopping steps: ${stopping.join(", ")}.` : " No steps were in flight."),
+    }],
+  };
 }
 
 function formatWaitResult(taskId, taskRecord) {
@@ -1139,13 +6617,29 @@ function formatWaitResult(taskId, taskRecord) {
     output += `**Failure reason:** ${taskRecord.failureReason}\n`;
   }
 
+  if (taskRecord.failureClass) {
+    output += `**Failure class:** ${taskRecord.failureClass}\n`;
+  }
+
+  if (taskRecord.attempts && taskRecord.attempts.length > 1) {
+    output += `**Attempts:** ${taskRecord.attempts.length}\n`;
+  }
+
   // Summary stats
   output += `\n### Summary\n`;
   output += `- Stdout: ${taskRecord.stdoutBytes || 0} bytes\n`;
   output += `- Stderr: ${taskRecord.stderrBytes || 0} bytes\n`;
   output += `- Heartbeats: ${taskRecord.heartbeatCount || 0}\n`;
+  if (taskRecord.usage) {
+    output += `- Tokens: ${formatUsage(taskRecord)}\n`;
+  }
+  if (taskRecord.diffStats) {
+    output += `- Changes: ${formatDiffStats(taskRecord.diffStats)}\n`;
+  }
 
-  if (taskRecord.result) {
+  if (taskRecord.structuredOutput) {
+    output += `\n### Result (matches outputSchema)\n\`\`\`json\n${JSON.stringify(taskRecord.structuredOutput, null, 2)}\n\`\`\`\n`;
+  } else if (taskRecord.result) {
     output += `\n### Result\n${taskRecord.result}\n`;
   }
 
@@ -1175,6 +6669,14 @@ function formatResult(taskId, taskRecord, result) {
     output += `**Failure reason:** ${result.failureReason}\n`;
   }
 
+  if (result.failureClass) {
+    output += `**Failure class:** ${result.failureClass}\n`;
+  }
+
+  if (taskRecord.attempts && taskRecord.attempts.length > 1) {
+    output += `**Attempts:** ${taskRecord.attempts.length} (${taskRecord.attempts.map((a) => a.failureClass || a.status).join(" → ")})\n`;
+  }
+
   if (result.error) {
     output += `**Error:** ${result.error}\n`;
   }
@@ -1184,10 +6686,28 @@ function formatResult(taskId, taskRecord, result) {
   output += `- Stdout: ${taskRecord.stdoutBytes} bytes\n`;
   output += `- Stderr: ${taskRecord.stderrBytes} bytes\n`;
   output += `- Heartbeats: ${taskRecord.heartbeatCount}\n`;
+  output += `- Events: ${taskRecord.eventCount}\n`;
+  if (taskRecord.usage) {
+    output += `- Tokens: ${formatUsage(taskRecord)}\n`;
+  }
+  if (taskRecord.filesTouched.length > 0) {
+    output += `- Files touched: ${taskRecord.filesTouched.join(", ")}\n`;
+  }
+  if (taskRecord.diffStats) {
+    output += `- Changes: ${formatDiffStats(taskRecord.diffStats)} (use codex_diff for details)\n`;
+  }
   output += `- Log file: ${taskRecord.logFile}\n`;
   output += `- Debug file: ${taskRecord.debugFile}\n`;
 
-  if (result.result) {
+  if (taskRecord.worktree && taskRecord.worktree.state === "ready") {
+    output += `\n### Worktree\n`;
+    output += `Changes are on branch \`${taskRecord.worktree.branch}\` in ${taskRecord.worktree.path}.\n`;
+    output += `Use \`codex_apply\` to merge them into ${taskRecord.workingDirectory} or \`codex_discard\` to drop them.\n`;
+  }
+
+  if (taskRecord.structuredOutput) {
+    output += `\n### Output (matches outputSchema)\n\`\`\`json\n${JSON.stringify(taskRecord.structuredOutput, null, 2)}\n\`\`\`\n`;
+  } else if (result.result) {
     output += `\n### Output\n${result.result}\n`;
   }
 
@@ -1201,10 +6721,89 @@ async function main() {
   await server.connect(transport);
   console.error("Codex Connector MCP server v1.2.0 running on stdio");
   console.error(`Logs directory: ${LOGS_DIR}`);
+  if (existsSync(CONFIG_FILE)) console.error(`Config: ${CONFIG_FILE}`);
   console.error(`Codex path: ${CODEX_PATH}`);
+  if (!PRICING[DEFAULT_MODEL]) {
+    console.error(`No price for the default model ${DEFAULT_MODEL}; add it under "pricing" in ${CONFIG_FILE} to track costs`);
+  }
   console.error("Progress notifications enabled");
 }
 
+// Shut down on SIGINT/SIGTERM/SIGHUP or when the client closes stdin.
+// Queued tasks are interrupted; running tasks are killed (process tree,
+// SIGTERM then SIGKILL) or detached for the next server to re-adopt,
+// according to SHUTDOWN_ACTION. Either way each gets a final record.
+async function shutdown(reason) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.error(`Shutting down (${reason}); running tasks: ${SHUTDOWN_ACTION}`);
+
+  for (const taskId of taskQueue.splice(0)) {
+    const taskRecord = tasks.get(taskId);
+    taskRecord.status = "interrupted";
+    taskRecord.failureReason = `Server shut down before task started (${reason})`;
+    taskRecord.failureClass = "interrupted";
+    taskRecord.completedAt = new Date().toISOString();
+  }
+
+  const running = [...tasks.values()].filter((t) => t.status === "running" && t.owner?.instance === INSTANCE_ID);
+  const kill = SHUTDOWN_ACTION === "kill";
+  if (kill) {
+    for (const taskRecord of running) signalProcessTree(taskRecord.pid, "SIGTERM");
+    const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+    while (running.some((t) => t.pid && isProcessAlive(t.pid)) && Date.now() < deadline) {
+      await new Promise((r) => setTimeout(r, 100));
+    }
+    // Whatever is left of each process tree
+    for (const taskRecord of running) signalProcessTree(taskRecord.pid, "SIGKILL");
+  }
+
+  for (const taskRecord of running) {
+    await taskSupervisors.get(taskRecord.id)?.(kill);
+    const now = new Date().toISOString();
+    if (kill) {
+      const elapsed = Date.now() - new Date(taskRecord.startedAt).getTime();
+      taskRecord.status = "interrupted";
+      taskRecord.failureReason = `Killed on server shutdown (${reason})`;
+      taskRecord.failureClass = "interrupted";
+      taskRecord.completedAt = now;
+      taskRecord.duration = elapsed;
+      taskRecord.durationFormatted = formatDuration(elapsed);
+      taskRecord.pid = null;
+      if (taskRecord.worktree) {
+        taskRecord.worktree.state = "interrupted";
+        taskRecord.worktree.updatedAt = now;
+      }
+      await appendFile(taskRecord.logFile, `\n[${now}] SHUTDOWN: Server shutting down (${reason}), killed process tree\n`).catch(() => {});
+    } else {
+      // Still "running": the next server to start re-adopts it
+      taskRecord.detachedAt = now;
+      taskRecord.detachReason = `Server shut down (${reason}); Codex left running (PID ${taskRecord.pid}) to be re-adopted`;
+      await appendFile(taskRecord.logFile, `\n[${now}] SHUTDOWN: ${taskRecord.detachReason}\n`).catch(() => {});
+    }
+  }
+
+  for (const pipeline of pipelines.values()) {
+    if (pipeline.status !== "running" || pipeline.owner?.instance !== INSTANCE_ID) continue;
+    // The server that re-adopts a detached step carries its pipeline on
+    if (!kill && pipeline.steps.some((s) => s.status === "started" && running.some((t) => t.id === s.taskId))) continue;
+    interruptPipeline(pipeline, `Server shut down while pipeline was running (${reason})`);
+  }
+
+  try {
+    await saveTasks();
+    await savePipelines();
+  } catch (err) {
+    console.error(`Could not save state on shutdown: ${err.message}`);
+  }
+  process.exit(0);
+}
+
+for (const signal of ["SIGINT", "SIGTERM", "SIGHUP"]) {
+  process.on(signal, () => shutdown(signal));
+}
+process.stdin.on("end", () => shutdown("stdin closed"));
+
 main().catch((error) => {
   console.error("Fatal error:", error);
   process.exit(1);